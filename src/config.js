@@ -14,11 +14,14 @@ export const HELLO_DOMAIN = process.env.HELLO_DOMAIN || 'hello.coop';
 export const HELLO_ADMIN = process.env.HELLO_ADMIN || `https://admin.${HELLO_DOMAIN}`;
 export const HELLO_ISSUER = process.env.HELLO_ISSUER || `https://issuer.${HELLO_DOMAIN}`;
 export const HELLO_AUDIENCE = process.env.HELLO_AUDIENCE || `https://admin.${HELLO_DOMAIN}`;
+// Keys the issuer signs tokens with, for signature checks in hello_inspect_token
+export const HELLO_JWKS_URI = process.env.HELLO_JWKS_URI || `${HELLO_ISSUER}/.well-known/jwks`;
 
 // External service URLs (for OAuth metadata and public endpoints)
 export const ADMIN_BASE_URL = `https://admin.${HELLO_DOMAIN}`;
 export const MCP_BASE_URL = `https://admin-mcp.${HELLO_DOMAIN}`;
-export const WALLET_BASE_URL = `https://wallet.${HELLO_DOMAIN}`;
+// HELLO_WALLET may point authorization and token requests at a stand-in wallet for tests
+export const WALLET_BASE_URL = process.env.HELLO_WALLET || `https://wallet.${HELLO_DOMAIN}`;
 export const ISSUER_BASE_URL = `https://issuer.${HELLO_DOMAIN}`;
 
 // OAuth client configuration
@@ -28,6 +31,20 @@ export const MCP_STDIO_CLIENT_ID = process.env.MCP_STDIO_CLIENT_ID || 'hello_mcp
 export const MCP_HTTP_CLIENT_ID = process.env.MCP_HTTP_CLIENT_ID || 'hello_mcp_http_app';
 export const HELLO_ACCESS_TOKEN = process.env.HELLO_ACCESS_TOKEN || null;
 
+// Hosts the server may fetch logos from even though they resolve to private addresses (comma separated, e.g. a local test server)
+export const HELLO_FETCH_ALLOWED_HOSTS = (process.env.HELLO_FETCH_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// How much of the developer profile tool results include unless a call sets verbosity: minimal, standard or full
+export const RESPONSE_VERBOSITY_LEVELS = ['minimal', 'standard', 'full'];
+const requestedVerbosity = process.env.HELLO_RESPONSE_VERBOSITY;
+if (requestedVerbosity && !RESPONSE_VERBOSITY_LEVELS.includes(requestedVerbosity)) {
+  console.error(`⚠️ Ignoring HELLO_RESPONSE_VERBOSITY="${requestedVerbosity}" - use one of ${RESPONSE_VERBOSITY_LEVELS.join(', ')}; using full`);
+}
+export const HELLO_RESPONSE_VERBOSITY = RESPONSE_VERBOSITY_LEVELS.includes(requestedVerbosity) ? requestedVerbosity : 'full';
+
 // Development flags
 export const IS_DEVELOPMENT = NODE_ENV === 'development';
 export const IS_PRODUCTION = NODE_ENV === 'production';
@@ -46,6 +63,8 @@ export const CONFIG = {
   HELLO_ISSUER,
   HELLO_AUDIENCE,
   HELLO_ADMIN,
+  WALLET_BASE_URL,
+  HELLO_RESPONSE_VERBOSITY,
   VERSION,
   NAME,
   DESCRIPTION
@@ -4,7 +4,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { SUPPORTED_MIMETYPES } from './utils.js';
+import { SUPPORTED_MIMETYPES, MAX_LOGO_SIZE_BYTES, LOGO_DISPLAY_BOX } from './utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,11 +49,12 @@ export function generateSupportedLogoFormatsResource() {
     supportedMimeTypes: SUPPORTED_MIMETYPES,
     supportedExtensions: ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.apng', '.svg'],
     recommendedFormat: 'PNG',
-    maxFileSize: '100KB',
+    maxFileSize: `${MAX_LOGO_SIZE_BYTES / 1024}KB`,
     notes: [
       'PNG format is recommended for transparency support',
-      'SVG files are sanitized for security',
-      'All images are scaled to fit within 400px × 100px',
+      'SVG files are sanitized before upload - scripts, event handlers, external references and foreign objects are removed, the viewBox is normalized, and the changes are reported in svg_sanitization',
+      `All images are scaled to fit within ${LOGO_DISPLAY_BOX.width}px × ${LOGO_DISPLAY_BOX.height}px`,
+      'Logo data is checked against the declared content type, and the size and dimensions are reported back',
       'Both light and dark theme versions are recommended',
       'Image data must include data URL prefix (e.g., data:image/png;base64,...)'
     ]
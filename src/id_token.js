@@ -0,0 +1,150 @@
+// ID token helpers for MCP server
+// Decodes Hellō ID and access tokens, checks their claims and verifies their signatures
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { HELLO_JWKS_URI } from './config.js';
+
+// Issuer keys are cached so repeated inspections do not refetch them
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+const JWKS_FETCH_TIMEOUT_MS = 5000;
+let issuerJwksCache = null;
+
+// Claims released for each identity scope
+const SCOPE_CLAIMS = {
+  openid: ['sub'],
+  profile: ['name', 'email', 'picture'],
+  name: ['name'],
+  nickname: ['nickname'],
+  preferred_username: ['preferred_username'],
+  given_name: ['given_name'],
+  family_name: ['family_name'],
+  email: ['email'],
+  phone: ['phone'],
+  picture: ['picture'],
+  ethereum: ['ethereum'],
+  discord: ['discord'],
+  twitter: ['twitter'],
+  github: ['github'],
+  gitlab: ['gitlab']
+};
+
+/**
+ * Decode a JWT without verifying its signature
+ * @param {string} token - Compact serialized JWT
+ * @returns {Object|null} - { header, payload }, or null if the token is malformed
+ */
+export function decodeToken(token) {
+  try {
+    const decoded = jwt.decode(token, { complete: true });
+    return decoded && typeof decoded.payload === 'object' ? { header: decoded.header, payload: decoded.payload } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a token's claims
+ * @param {Object} payload - Decoded claims
+ * @param {Object} expected - Expected values
+ * @param {string} expected.issuer - Expected iss
+ * @param {string} expected.audience - Value that must be in aud - the client_id for ID tokens (optional)
+ * @param {string} expected.nonce - Nonce sent in the authorization request (optional)
+ * @returns {Object} - Checks for iss, exp, and aud and nonce when expected, each { passed, expected, actual }
+ */
+export function checkTokenClaims(payload, { issuer, audience, nonce }) {
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+  const checks = {
+    iss: { passed: payload.iss === issuer, expected: issuer, actual: payload.iss ?? null }
+  };
+  if (audience !== undefined) {
+    checks.aud = { passed: audiences.includes(audience), expected: audience, actual: payload.aud ?? null };
+  }
+  checks.exp = {
+    passed: typeof payload.exp === 'number' && payload.exp > now,
+    expected: `after ${new Date(now * 1000).toISOString()}`,
+    actual: typeof payload.exp === 'number' ? new Date(payload.exp * 1000).toISOString() : null
+  };
+  if (nonce !== undefined) {
+    checks.nonce = { passed: payload.nonce === nonce, expected: nonce, actual: payload.nonce ?? null };
+  }
+  return checks;
+}
+
+/**
+ * Find claims a set of scopes asked for that the token does not carry
+ * @param {Object} payload - Decoded claims
+ * @param {Array<string>} scopes - Requested scopes
+ * @returns {Array<string>} - Missing claim names
+ */
+export function missingScopeClaims(payload, scopes) {
+  const wanted = new Set(scopes.flatMap(scope => SCOPE_CLAIMS[scope] || []));
+  return [...wanted].filter(claim => payload[claim] === undefined);
+}
+
+/**
+ * Get the issuer's JWKS, from the cache when fresh
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.refresh - Refetch even if cached, e.g. when a key ID is not found
+ * @param {boolean} options.fetchIfMissing - Fetch when nothing usable is cached (defaults to true)
+ * @returns {Promise<Object|null>} - { keys, fetched_at, cached }, or null if not cached and not fetched
+ */
+export async function getIssuerJwks({ refresh = false, fetchIfMissing = true } = {}) {
+  const fresh = issuerJwksCache && Date.now() - issuerJwksCache.fetchedAt < JWKS_CACHE_TTL_MS;
+  if (fresh && !refresh) {
+    return { keys: issuerJwksCache.keys, fetched_at: new Date(issuerJwksCache.fetchedAt).toISOString(), cached: true };
+  }
+  if (!fetchIfMissing && !refresh) {
+    return null;
+  }
+
+  const response = await fetch(HELLO_JWKS_URI, { signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Fetching ${HELLO_JWKS_URI} failed: ${response.status} ${response.statusText}`);
+  }
+  const jwks = await response.json();
+  if (!Array.isArray(jwks?.keys)) {
+    throw new Error(`${HELLO_JWKS_URI} did not return a JWKS`);
+  }
+
+  issuerJwksCache = { keys: jwks.keys, fetchedAt: Date.now() };
+  return { keys: jwks.keys, fetched_at: new Date(issuerJwksCache.fetchedAt).toISOString(), cached: false };
+}
+
+/**
+ * Verify a token's signature with a key from a JWKS
+ * Expiry and other claims are checked separately, so an expired token can still be shown to be genuine
+ * @param {string} token - Compact serialized JWT
+ * @param {Object} header - Decoded header
+ * @param {Array<Object>} keys - JWKS keys
+ * @returns {Object} - { verified, kid, alg, reason } where verified is false for a bad signature and null when no key applies
+ */
+export function verifyTokenSignature(token, header, keys) {
+  const result = { verified: null, kid: header.kid ?? null, alg: header.alg ?? null };
+
+  if (!header.alg || header.alg === 'none') {
+    return { ...result, verified: false, reason: 'The token is not signed' };
+  }
+  if (header.alg.startsWith('HS')) {
+    return { ...result, reason: `${header.alg} tokens are signed with a shared secret, not a key from a JWKS` };
+  }
+
+  const candidates = keys.filter(key => (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig'));
+  if (candidates.length === 0) {
+    return { ...result, reason: header.kid ? `No key with kid "${header.kid}" in the JWKS` : 'No signing key in the JWKS' };
+  }
+
+  let lastError = null;
+  for (const jwk of candidates) {
+    try {
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      jwt.verify(token, publicKey, { algorithms: [header.alg], ignoreExpiration: true, ignoreNotBefore: true });
+      return { ...result, verified: true, kid: jwk.kid ?? result.kid };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  return { ...result, verified: false, reason: `Signature does not verify: ${lastError.message}` };
+}
@@ -88,11 +88,18 @@ export async function generateLegalDocs(args) {
   // Generate guidance for next steps
   const guidance = generateLegalGuidance(args);
 
+  const text = `Generated comprehensive legal documents for **${app_name}**:\n\n## Terms of Service\n\n\`\`\`markdown\n${termsOfService}\n\`\`\`\n\n## Privacy Policy\n\n\`\`\`markdown\n${privacyPolicy}\n\`\`\`\n\n${guidance}`;
+
   return {
-    contents: [{
+    content: [{
       type: 'text',
-      text: `Generated comprehensive legal documents for **${app_name}**:\n\n## Terms of Service\n\n\`\`\`markdown\n${termsOfService}\n\`\`\`\n\n## Privacy Policy\n\n\`\`\`markdown\n${privacyPolicy}\n\`\`\`\n\n${guidance}`
-    }]
+      text
+    }],
+    structuredContent: {
+      terms_of_service: termsOfService,
+      privacy_policy: privacyPolicy,
+      next_steps: guidance
+    }
   };
 }
 
@@ -0,0 +1,164 @@
+// Local OAuth flow
+// PKCE authorization code flow with a loopback callback server, used by the stdio login and the test login tool
+
+import { WALLET_BASE_URL } from './config.js';
+import getPort from 'get-port';
+import http from 'http';
+import url from 'url';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Build the authorization request URL
+ * @param {Object} params - client_id, redirect_uri, scope (array), code_challenge, code_challenge_method, state, nonce
+ *   and optionally provider_hint (array) and domain_hint
+ * @returns {string} - Authorization URL
+ */
+export function createAuthorizationUrl(params) {
+  const urlParams = new URLSearchParams({
+    client_id: params.client_id,
+    redirect_uri: params.redirect_uri,
+    scope: params.scope.join(' '),
+    response_type: 'code',
+    response_mode: 'query',
+    code_challenge: params.code_challenge,
+    code_challenge_method: params.code_challenge_method,
+    state: params.state,
+    nonce: params.nonce
+  });
+  if (params.provider_hint?.length > 0) {
+    urlParams.set('provider_hint', params.provider_hint.join(' '));
+  }
+  if (params.domain_hint) {
+    urlParams.set('domain_hint', params.domain_hint);
+  }
+
+  return `${WALLET_BASE_URL}/authorize?${urlParams.toString()}`;
+}
+
+/**
+ * Start a loopback server that receives the authorization response
+ * Besides the callback it answers /auth/start with a redirect to the authorization URL, and serves the login page (if any) elsewhere
+ * @param {Object} options - Server options
+ * @param {string} options.expectedState - State sent in the authorization request
+ * @param {Function} options.authorizationUrl - Builds the authorization URL from the redirect URI
+ * @param {string} options.redirectUri - Loopback redirect URI to listen on (optional, defaults to /callback on any free localhost port)
+ * @param {string} options.successPage - Page shown after the callback, from src/html
+ * @param {string|null} options.loginPage - Page with a button linking to /auth/start, from src/html (optional)
+ * @returns {Promise<Object>} - { server, port, redirectUri, code } once listening, where code resolves with the authorization code
+ */
+export async function startCallbackServer({ expectedState, authorizationUrl, redirectUri: requestedRedirectUri, successPage = 'auth-success.html', loginPage = 'auth-login.html' }) {
+  const redirectUri = requestedRedirectUri || `http://localhost:${await getPort()}/callback`;
+  const parsedRedirectUri = new URL(redirectUri);
+  const localPort = Number(parsedRedirectUri.port) || 80;
+  const callbackPath = parsedRedirectUri.pathname;
+
+  let resolveCode;
+  let rejectCode;
+  const code = new Promise((resolve, reject) => {
+    resolveCode = resolve;
+    rejectCode = reject;
+  });
+
+  const server = http.createServer((req, res) => {
+    const parsedUrl = url.parse(req.url, true);
+
+    if (parsedUrl.pathname === callbackPath) {
+      const { code: authCode, state, error, error_description } = parsedUrl.query;
+
+      if (error) {
+        res.writeHead(400, { 'Content-Type': 'text/html' });
+        res.end(`<h1>Authentication Error</h1><p>${String(error).replace(/[<>&"]/g, '')}</p>`);
+        const oauthError = new Error(`OAuth error: ${error}`);
+        oauthError.oauth = { error, error_description: error_description || null };
+        rejectCode(oauthError);
+        return;
+      }
+
+      if (state !== expectedState) {
+        res.writeHead(400, { 'Content-Type': 'text/html' });
+        res.end('<h1>Authentication Error</h1><p>Invalid state parameter</p>');
+        rejectCode(new Error('Invalid state parameter'));
+        return;
+      }
+
+      if (!authCode) {
+        res.writeHead(400, { 'Content-Type': 'text/html' });
+        res.end('<h1>Authentication Error</h1><p>No authorization code received</p>');
+        rejectCode(new Error('No authorization code received'));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(fs.readFileSync(path.join(__dirname, 'html', successPage), 'utf8'));
+
+      resolveCode(authCode);
+    } else if (parsedUrl.pathname === '/auth/start') {
+      // Generate authorization URL when user clicks the button
+      res.writeHead(302, { 'Location': authorizationUrl(redirectUri) });
+      res.end();
+    } else if (loginPage) {
+      // Serve the login page for all other requests
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(fs.readFileSync(path.join(__dirname, 'html', loginPage), 'utf8'));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', (err) => reject(new Error(`Failed to start callback server: ${err.message}`)));
+    server.listen(localPort, resolve);
+  });
+
+  return { server, port: localPort, redirectUri, code };
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} params - code, code_verifier, client_id and redirect_uri
+ * @returns {Promise<Object>} - Token response
+ */
+export async function exchangeCodeForToken(params) {
+  const tokenEndpoint = `${WALLET_BASE_URL}/oauth/token`;
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: params.code,
+    code_verifier: params.code_verifier,
+    client_id: params.client_id,
+    redirect_uri: params.redirect_uri
+  });
+
+  const response = await fetch(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: body.toString()
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Token exchange failed: ${response.status} ${errorText}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Stop a callback server
+ * @param {http.Server} server - Server from startCallbackServer
+ * @returns {Promise<void>}
+ */
+export function stopCallbackServer(server) {
+  return new Promise((resolve) => {
+    server.closeAllConnections?.();
+    server.close(() => resolve());
+  });
+}
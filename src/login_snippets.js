@@ -0,0 +1,480 @@
+// Login button snippet generator for MCP server
+// Renders ready-to-paste Hellō login code for an application on a given stack
+
+import { WALLET_BASE_URL } from './config.js';
+
+export const LOGIN_STACKS = ['html', 'react', 'nextjs', 'express', 'fastify', 'wordpress'];
+
+// Button options mirror the color, theme and hover props of the Hellō React SDK buttons
+export const BUTTON_COLORS = ['black', 'white'];
+export const BUTTON_THEMES = ['ignore-light', 'ignore-dark', 'aware-invert', 'aware-static'];
+export const BUTTON_HOVERS = ['pop', 'glow', 'flare', 'none'];
+
+export const LOGIN_SCOPES = [
+  'openid', 'name', 'nickname', 'preferred_username', 'given_name', 'family_name',
+  'email', 'phone', 'picture', 'ethereum', 'discord', 'twitter', 'github', 'gitlab',
+  'profile', 'profile_update'
+];
+export const DEFAULT_LOGIN_SCOPE = ['openid', 'name', 'email', 'picture'];
+
+// Providers a provider_hint can promote, or demote with a trailing "--"
+const PROVIDERS = [
+  'apple', 'discord', 'facebook', 'github', 'gitlab', 'google', 'twitch', 'twitter', 'tumblr',
+  'mastodon', 'microsoft', 'line', 'wordpress', 'yahoo', 'phone', 'ethereum', 'qrcode'
+];
+
+const BUTTON_STYLESHEET = 'https://cdn.hello.coop/css/hello-btn.css';
+const BUTTON_LABEL = 'ō&nbsp;&nbsp;&nbsp;Continue with Hellō';
+
+// Classes added to hello-btn for each color and theme - black on a light page is the base style
+const BUTTON_COLOR_CLASSES = {
+  black: {
+    'ignore-light': '',
+    'ignore-dark': 'hello-btn-black-on-dark',
+    'aware-invert': 'hello-btn-black-and-invert',
+    'aware-static': 'hello-btn-black-and-static'
+  },
+  white: {
+    'ignore-light': 'hello-btn-white-on-light',
+    'ignore-dark': 'hello-btn-white-on-dark',
+    'aware-invert': 'hello-btn-white-and-invert',
+    'aware-static': 'hello-btn-white-and-static'
+  }
+};
+
+// Route the Hellō server SDKs answer on, and the callback of the Hellō Login WordPress plugin
+const SDK_ROUTE = '/api/hellocoop';
+const WORDPRESS_CALLBACK = '/wp-admin/admin-ajax.php?action=hello-login-callback';
+const DEFAULT_ORIGIN = 'http://localhost:3000';
+
+// Stacks whose redirect URI is the Hellō server SDK route - the React SDK calls that route on its backend
+const SDK_STACKS = ['react', 'nextjs', 'express', 'fastify'];
+
+/**
+ * Escape text for use in HTML content or attributes
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Get the origin of a URI
+ * @param {string} uri - Absolute URI
+ * @returns {string|null} - Origin, or null if the URI has no http(s) origin
+ */
+function originOf(uri) {
+  try {
+    const url = new URL(uri);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether Hellō will accept a redirect URI for an application
+ * Registered URIs match exactly; loopback URIs are also accepted when the app allows localhost or 127.0.0.1 in development
+ * @param {string} uri - Redirect URI
+ * @param {Object} app - Flattened application
+ * @returns {boolean} - True if the URI is accepted
+ */
+export function isRedirectUriAllowed(uri, app) {
+  if ([...(app.prod_redirect_uris || []), ...(app.dev_redirect_uris || [])].includes(uri)) {
+    return true;
+  }
+
+  try {
+    const { protocol, hostname } = new URL(uri);
+    if (protocol !== 'http:') {
+      return false;
+    }
+    return (hostname === 'localhost' && app.dev_localhost !== false) ||
+      (hostname === '127.0.0.1' && app.dev_127_0_0_1 !== false);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pick the redirect URI a snippet uses
+ * Prefers a registered URI ending in the route the stack answers on, production before development
+ * @param {string} stack - Target stack
+ * @param {Object} app - Flattened application
+ * @returns {string} - Redirect URI
+ */
+function pickRedirectUri(stack, app) {
+  const registered = [...(app.prod_redirect_uris || []), ...(app.dev_redirect_uris || [])];
+  const route = SDK_STACKS.includes(stack) ? SDK_ROUTE : stack === 'wordpress' ? WORDPRESS_CALLBACK : null;
+
+  if (!route) {
+    return registered[0] || `${DEFAULT_ORIGIN}/`;
+  }
+
+  const match = registered.find(uri => originOf(uri) && uri.slice(originOf(uri).length) === route);
+  if (match) {
+    return match;
+  }
+  const origin = registered.map(originOf).find(Boolean) || DEFAULT_ORIGIN;
+  return `${origin}${route}`;
+}
+
+/**
+ * Build the class list of a Hellō button
+ * @param {Object} button - { color, theme, hover }
+ * @returns {string} - Space separated classes
+ */
+function buttonClasses({ color, theme, hover }) {
+  const hoverClass = hover === 'pop' ? '' : `hello-btn-hover-${hover}`;
+  return ['hello-btn', BUTTON_COLOR_CLASSES[color][theme], hoverClass].filter(Boolean).join(' ');
+}
+
+/**
+ * Render the JSX props shared by the React SDK buttons
+ * @param {Object} options - Resolved login options
+ * @returns {string} - Indented props, one per line
+ */
+function reactButtonProps({ scope, provider_hint, domain_hint, button }) {
+  const props = [`scope={${JSON.stringify(scope)}}`];
+  if (provider_hint.length > 0) {
+    props.push(`providerHint={${JSON.stringify(provider_hint)}}`);
+  }
+  if (domain_hint) {
+    props.push(`domainHint=${JSON.stringify(domain_hint)}`);
+  }
+  props.push(`color="${button.color}"`, `theme="${button.theme}"`, `hover="${button.hover}"`);
+  return props.map(prop => `      ${prop}`).join('\n');
+}
+
+/**
+ * Render hello.config.js for the Hellō server SDKs
+ * @param {Object} options - Resolved login options
+ * @param {string} moduleStyle - 'esm' or 'commonjs'
+ * @returns {string} - Config file content
+ */
+function sdkConfigFile({ scope, provider_hint }, moduleStyle) {
+  const lines = [
+    '// Hellō SDK configuration - client_id is read from HELLO_CLIENT_ID',
+    'const config = {',
+    `  scope: ${JSON.stringify(scope)},`
+  ];
+  if (provider_hint.length > 0) {
+    lines.push(`  provider_hint: ${JSON.stringify(provider_hint)},`);
+  }
+  lines.push('}', '', moduleStyle === 'esm' ? 'export default config' : 'module.exports = config', '');
+  return lines.join('\n');
+}
+
+/**
+ * Render the .env lines the Hellō server SDKs read
+ * @param {Object} options - Resolved login options
+ * @returns {string} - .env content
+ */
+function sdkEnvFile({ client_id, redirect_uri }) {
+  return [
+    `HELLO_CLIENT_ID=${client_id}`,
+    '# Random 32 byte hex string used to encrypt the session cookie',
+    'HELLO_COOKIE_SECRET=',
+    '# Optional - the SDK derives the redirect URI from the request when this is not set',
+    `HELLO_REDIRECT_URI=${redirect_uri}`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render a button that starts login through the server SDK route
+ * @param {Object} options - Resolved login options
+ * @returns {string} - HTML
+ */
+function sdkLoginButton({ domain_hint, button }) {
+  const query = new URLSearchParams({ op: 'login' });
+  if (domain_hint) {
+    query.set('domain_hint', domain_hint);
+  }
+  return [
+    `<link rel="stylesheet" href="${BUTTON_STYLESHEET}">`,
+    `<button class="${buttonClasses(button)}" onclick="window.location.href='${SDK_ROUTE}?${escapeHtml(query.toString())}'">${BUTTON_LABEL}</button>`
+  ].join('\n');
+}
+
+const SNIPPET_BUILDERS = {
+  html: (options) => {
+    const params = {
+      client_id: options.client_id,
+      redirect_uri: options.redirect_uri,
+      scope: options.scope.join(' '),
+      response_type: 'id_token',
+      response_mode: 'fragment'
+    };
+    if (options.provider_hint.length > 0) {
+      params.provider_hint = options.provider_hint.join(' ');
+    }
+    if (options.domain_hint) {
+      params.domain_hint = options.domain_hint;
+    }
+    const paramLines = Object.entries(params).map(([key, value]) => `      ${key}: ${JSON.stringify(value)},`);
+
+    return {
+      files: [{
+        path: 'index.html',
+        language: 'html',
+        content: [
+          `<!-- Hellō login for ${escapeHtml(options.app_name)} -->`,
+          `<link rel="stylesheet" href="${BUTTON_STYLESHEET}">`,
+          `<button class="${buttonClasses(options.button)}" onclick="helloLogin()">${BUTTON_LABEL}</button>`,
+          '<script>',
+          '  function helloLogin() {',
+          '    const nonce = crypto.randomUUID();',
+          "    sessionStorage.setItem('hello_nonce', nonce);",
+          '    const params = new URLSearchParams({',
+          ...paramLines,
+          '      nonce',
+          '    });',
+          `    window.location.href = '${WALLET_BASE_URL}/authorize?' + params;`,
+          '  }',
+          '</script>',
+          ''
+        ].join('\n')
+      }],
+      steps: [
+        `Paste the button into a page; Hellō returns the ID token in the URL fragment of ${options.redirect_uri}`,
+        "On that page, read id_token from location.hash and check its nonce matches sessionStorage 'hello_nonce'",
+        `Before trusting the claims, verify the token on your server by POSTing token, client_id and nonce to ${WALLET_BASE_URL}/oauth/introspect`
+      ]
+    };
+  },
+
+  react: (options) => ({
+    install: 'npm install @hellocoop/react',
+    files: [
+      {
+        path: 'HelloLogin.jsx',
+        language: 'jsx',
+        content: [
+          "import { ContinueButton } from '@hellocoop/react'",
+          '',
+          'export default function HelloLogin() {',
+          '  return (',
+          '    <ContinueButton',
+          reactButtonProps(options),
+          '    />',
+          '  )',
+          '}',
+          ''
+        ].join('\n')
+      },
+      { path: '.env', language: 'dotenv', content: sdkEnvFile(options) }
+    ],
+    steps: [
+      `The button starts login through ${SDK_ROUTE} - run a Hellō server SDK there (generate the express, fastify or nextjs snippet for it)`,
+      'Set the .env values on that server, with HELLO_COOKIE_SECRET set to a random 32 byte hex string'
+    ]
+  }),
+
+  nextjs: (options) => ({
+    install: 'npm install @hellocoop/nextjs',
+    files: [
+      { path: 'hello.config.js', language: 'javascript', content: sdkConfigFile(options, 'commonjs') },
+      {
+        path: 'app/api/hellocoop/route.js',
+        language: 'javascript',
+        content: [
+          "import config from '../../../hello.config'",
+          "import { appAuth } from '@hellocoop/nextjs'",
+          '',
+          'export const { GET, POST } = appAuth(config)',
+          ''
+        ].join('\n')
+      },
+      {
+        path: 'components/HelloLogin.jsx',
+        language: 'jsx',
+        content: [
+          "'use client'",
+          "import { ContinueButton } from '@hellocoop/nextjs/react'",
+          '',
+          'export default function HelloLogin() {',
+          '  return (',
+          '    <ContinueButton',
+          reactButtonProps(options),
+          '    />',
+          '  )',
+          '}',
+          ''
+        ].join('\n')
+      },
+      { path: '.env.local', language: 'dotenv', content: sdkEnvFile(options) }
+    ],
+    steps: [
+      'Set HELLO_COOKIE_SECRET in .env.local to a random 32 byte hex string',
+      'Render <HelloLogin /> where users sign in'
+    ]
+  }),
+
+  express: (options) => ({
+    install: 'npm install @hellocoop/express',
+    files: [
+      { path: 'hello.config.js', language: 'javascript', content: sdkConfigFile(options, 'esm') },
+      {
+        path: 'server.js',
+        language: 'javascript',
+        content: [
+          "import express from 'express'",
+          "import { helloAuth } from '@hellocoop/express'",
+          "import config from './hello.config.js'",
+          '',
+          'const app = express()',
+          `// Adds the ${SDK_ROUTE} login, callback and logout route`,
+          'app.use(helloAuth(config))',
+          '',
+          "app.get('/', (req, res) => {",
+          `  res.send(${JSON.stringify(sdkLoginButton(options))})`,
+          '})',
+          '',
+          'app.listen(3000)',
+          ''
+        ].join('\n')
+      },
+      { path: '.env', language: 'dotenv', content: sdkEnvFile(options) }
+    ],
+    steps: ['Set HELLO_COOKIE_SECRET in .env to a random 32 byte hex string and load .env before starting the server']
+  }),
+
+  fastify: (options) => ({
+    install: 'npm install @hellocoop/fastify',
+    files: [
+      { path: 'hello.config.js', language: 'javascript', content: sdkConfigFile(options, 'esm') },
+      {
+        path: 'server.js',
+        language: 'javascript',
+        content: [
+          "import Fastify from 'fastify'",
+          "import { helloAuth } from '@hellocoop/fastify'",
+          "import config from './hello.config.js'",
+          '',
+          'const app = Fastify()',
+          `// Adds the ${SDK_ROUTE} login, callback and logout route`,
+          'await app.register(helloAuth, config)',
+          '',
+          "app.get('/', async (request, reply) => {",
+          `  reply.type('text/html').send(${JSON.stringify(sdkLoginButton(options))})`,
+          '})',
+          '',
+          'await app.listen({ port: 3000 })',
+          ''
+        ].join('\n')
+      },
+      { path: '.env', language: 'dotenv', content: sdkEnvFile(options) }
+    ],
+    steps: ['Set HELLO_COOKIE_SECRET in .env to a random 32 byte hex string and load .env before starting the server']
+  }),
+
+  wordpress: (options) => ({
+    files: [{ path: 'shortcode', language: 'text', content: '[hello_login_button]\n' }],
+    steps: [
+      'Install and activate the "Hellō Login" plugin from Plugins → Add New',
+      `In Settings → Hellō Login, set the Client ID to ${options.client_id}`,
+      `Set the scopes to "${options.scope.join(' ')}"${options.provider_hint.length > 0 ? ` and the provider hint to "${options.provider_hint.join(' ')}"` : ''}`,
+      `Confirm the redirect URI shown on the plugin settings page is registered - this snippet assumes ${options.redirect_uri}`,
+      'Add the shortcode to a page, or use the button the plugin adds to the WordPress login form'
+    ]
+  })
+};
+
+/**
+ * Validate the scopes and provider hints of a login request
+ * @param {Object} options - Login options
+ * @param {Array<string>} options.scope - Scopes to request (optional, defaults to DEFAULT_LOGIN_SCOPE)
+ * @param {Array<string>} options.providerHint - Providers to promote, or demote with a trailing "--" (optional)
+ * @returns {Object} - { errors, scope, provider_hint } with openid added to the scopes
+ */
+export function validateLoginParams({ scope, providerHint }) {
+  const errors = [];
+  const scopes = scope === undefined ? DEFAULT_LOGIN_SCOPE : scope;
+  const hints = providerHint || [];
+
+  if (!Array.isArray(scopes) || scopes.some(item => !LOGIN_SCOPES.includes(item))) {
+    const unknown = Array.isArray(scopes) ? scopes.filter(item => !LOGIN_SCOPES.includes(item)) : [scopes];
+    errors.push(`Unknown scope ${unknown.map(item => `"${item}"`).join(', ')} - use ${LOGIN_SCOPES.join(', ')}`);
+  }
+  if (!Array.isArray(hints) || hints.some(hint => !PROVIDERS.includes(String(hint).replace(/--$/, '')))) {
+    errors.push(`provider_hint must list providers from ${PROVIDERS.join(', ')}, optionally ending in "--" to demote them`);
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    scope: scopes.includes('openid') ? [...scopes] : ['openid', ...scopes],
+    provider_hint: [...hints]
+  };
+}
+
+/**
+ * Generate a login button snippet for an application
+ * @param {Object} options - Snippet options
+ * @param {Object} options.app - Flattened application from the read action
+ * @param {string} options.stack - One of LOGIN_STACKS
+ * @param {string} options.redirectUri - Redirect URI to use instead of the one picked from the app
+ * @param {Array<string>} options.scope - Scopes to request (openid is always included)
+ * @param {Array<string>} options.providerHint - Providers to promote, or demote with a trailing "--"
+ * @param {string} options.domainHint - Domain hint, e.g. "personal", "managed" or a domain name
+ * @param {Object} options.button - { color, theme, hover }
+ * @returns {Object} - { valid, errors } or { valid, stack, config, install, files, steps, warnings }
+ */
+export function generateLoginSnippet({ app, stack, redirectUri, scope, providerHint, domainHint, button = {} }) {
+  const errors = [];
+  const params = validateLoginParams({ scope, providerHint });
+  const style = { color: button.color || 'black', theme: button.theme || 'aware-invert', hover: button.hover || 'pop' };
+
+  if (!LOGIN_STACKS.includes(stack)) {
+    errors.push(`Unknown stack "${stack}" - use one of ${LOGIN_STACKS.join(', ')}`);
+  }
+  errors.push(...params.errors);
+  if (redirectUri !== undefined && !originOf(redirectUri)) {
+    errors.push(`redirect_uri must be an absolute http or https URI, not "${redirectUri}"`);
+  }
+  for (const [field, value, allowed] of [
+    ['button_color', style.color, BUTTON_COLORS],
+    ['button_theme', style.theme, BUTTON_THEMES],
+    ['button_hover', style.hover, BUTTON_HOVERS]
+  ]) {
+    if (!allowed.includes(value)) {
+      errors.push(`${field} must be one of ${allowed.join(', ')}, not "${value}"`);
+    }
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const config = {
+    client_id: app.id,
+    redirect_uri: redirectUri || pickRedirectUri(stack, app),
+    scope: params.scope,
+    provider_hint: params.provider_hint,
+    domain_hint: domainHint || null,
+    button: { ...style, class: buttonClasses(style) }
+  };
+  config.redirect_uri_registered = isRedirectUriAllowed(config.redirect_uri, app);
+
+  const warnings = [];
+  if (!config.redirect_uri_registered) {
+    warnings.push(`${config.redirect_uri} is not a registered redirect URI for ${app.name} - add it to dev_redirect_uris or prod_redirect_uris with hello_manage_app update before testing`);
+  }
+  if (stack === 'html' && config.redirect_uri.startsWith('http:') && !/^http:\/\/(localhost|127\.0\.0\.1)[:/]/.test(config.redirect_uri)) {
+    warnings.push('The redirect URI uses http - ID tokens in the URL fragment should only be sent over https outside local development');
+  }
+
+  const snippet = SNIPPET_BUILDERS[stack]({ ...config, app_name: app.name });
+  return {
+    valid: true,
+    stack,
+    config,
+    install: snippet.install || null,
+    files: snippet.files,
+    steps: snippet.steps,
+    warnings
+  };
+}
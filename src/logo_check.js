@@ -0,0 +1,660 @@
+// Logo contrast and accessibility checks
+// Finds the colors a logo is drawn in and how well they show on the Hellō light and dark backgrounds
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { LOGO_DISPLAY_BOX } from './utils.js';
+import { contrastRatio, parseHexColor, toHexColor, THEME_BACKGROUNDS, MIN_LOGO_CONTRAST } from './logo_generator.js';
+
+// Graphics below this contrast are hard to make out at all (WCAG non-text contrast)
+export const MIN_GRAPHIC_CONTRAST = 3;
+
+// Decoding stops for images larger than this, which are far beyond what a logo needs
+const MAX_DECODED_PIXELS = 4000000;
+
+// Pixels at least this opaque count as part of the logo
+const OPAQUE_ALPHA = 128;
+
+// Colors covering less of the logo than this are ignored
+const MIN_COLOR_COVERAGE = 0.05;
+const MAX_COLORS = 5;
+
+// Transparent margins are reported when the content fills less than this much of the logo area
+const MIN_CONTENT_FILL = 0.7;
+
+const SVG_NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', gray: '#808080',
+  grey: '#808080', silver: '#c0c0c0', yellow: '#ffff00', orange: '#ffa500', purple: '#800080', navy: '#000080',
+  teal: '#008080', maroon: '#800000', olive: '#808000', lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff',
+  fuchsia: '#ff00ff', magenta: '#ff00ff'
+};
+
+/**
+ * Predict a PNG pixel byte from its neighbours (PNG filter type 4)
+ * @param {number} a - Byte to the left
+ * @param {number} b - Byte above
+ * @param {number} c - Byte above and to the left
+ * @returns {number} - Predicted byte
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a non-interlaced PNG (or the default image of an APNG) to RGBA pixels
+ * @param {Buffer} buffer - PNG data
+ * @returns {Object|null} - { width, height, pixels } or null if the PNG cannot be decoded here
+ */
+function decodePng(buffer) {
+  let width, height, bitDepth, colorType, interlace;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      [bitDepth, colorType] = [data[8], data[9]];
+      interlace = data[12];
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!width || !height || !channels || interlace !== 0 || width * height > MAX_DECODED_PIXELS || (colorType === 3 && !palette)) {
+    return null;
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: height * (stride + 1) });
+  } catch (error) {
+    return null;
+  }
+  if (raw.length < height * (stride + 1)) {
+    return null;
+  }
+
+  const maxSample = (1 << Math.min(bitDepth, 16)) - 1;
+  const sample = (line, index) => {
+    if (bitDepth === 16) return line.readUInt16BE(index * 2);
+    if (bitDepth === 8) return line[index];
+    const bit = index * bitDepth;
+    return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+  const to8Bit = value => (bitDepth === 16 ? value >> 8 : Math.round((value * 255) / maxSample));
+  const transparentSample = index => transparency && transparency.length >= (index + 1) * 2 ? transparency.readUInt16BE(index * 2) : null;
+
+  const pixels = new Uint8Array(width * height * 4);
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+      const b = previous[i];
+      const c = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      const predictor = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+      if (predictor === undefined) return null;
+      line[i] = (line[i] + predictor) & 0xff;
+    }
+    previous = line;
+
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let rgba;
+      if (colorType === 3) {
+        const index = sample(line, x);
+        rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], transparency && index < transparency.length ? transparency[index] : 255];
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = sample(line, x * channels);
+        const alpha = colorType === 4 ? to8Bit(sample(line, x * 2 + 1)) : (gray === transparentSample(0) ? 0 : 255);
+        rgba = [to8Bit(gray), to8Bit(gray), to8Bit(gray), alpha];
+      } else {
+        const rgb = [0, 1, 2].map(channel => sample(line, x * channels + channel));
+        const alpha = colorType === 6
+          ? to8Bit(sample(line, x * 4 + 3))
+          : (rgb.every((value, channel) => value === transparentSample(channel)) ? 0 : 255);
+        rgba = [...rgb.map(to8Bit), alpha];
+      }
+      pixels.set(rgba, out);
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+/**
+ * Decode GIF LZW data to color indices
+ * @param {Buffer} data - Concatenated image data sub-blocks
+ * @param {number} minCodeSize - LZW minimum code size
+ * @param {number} pixelCount - Number of indices expected
+ * @returns {Uint8Array} - Color indices
+ */
+function decodeGifLzw(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const firstByte = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  const output = new Uint8Array(pixelCount);
+
+  for (let code = 0; code < clearCode; code++) {
+    suffix[code] = code;
+    firstByte[code] = code;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previousCode = -1;
+  let bits = 0;
+  let bitCount = 0;
+  let written = 0;
+
+  for (let i = 0; i < data.length && written < pixelCount; i++) {
+    bits |= data[i] << bitCount;
+    bitCount += 8;
+
+    while (bitCount >= codeSize && written < pixelCount) {
+      const code = bits & ((1 << codeSize) - 1);
+      bits >>= codeSize;
+      bitCount -= codeSize;
+
+      if (code === clearCode) {
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+        previousCode = -1;
+        continue;
+      }
+      if (code === endCode) {
+        return output;
+      }
+
+      // The code for a string not yet in the table is the previous string plus its own first byte
+      let current = code;
+      let depth = 0;
+      if (code >= nextCode) {
+        if (previousCode < 0) return output;
+        stack[depth++] = firstByte[previousCode];
+        current = previousCode;
+      }
+      while (current >= clearCode) {
+        stack[depth++] = suffix[current];
+        current = prefix[current];
+      }
+      stack[depth++] = current;
+
+      while (depth > 0 && written < pixelCount) {
+        output[written++] = stack[--depth];
+      }
+
+      if (previousCode >= 0 && nextCode < 4096) {
+        prefix[nextCode] = previousCode;
+        suffix[nextCode] = current;
+        firstByte[nextCode] = firstByte[previousCode];
+        nextCode++;
+        if (nextCode === 1 << codeSize && codeSize < 12) {
+          codeSize++;
+        }
+      }
+      previousCode = code;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Decode the first frame of a GIF to RGBA pixels
+ * @param {Buffer} buffer - GIF data
+ * @returns {Object|null} - { width, height, pixels } or null if the GIF cannot be decoded here
+ */
+function decodeGif(buffer) {
+  const width = buffer.readUInt16LE(6);
+  const height = buffer.readUInt16LE(8);
+  if (!width || !height || width * height > MAX_DECODED_PIXELS) {
+    return null;
+  }
+
+  const packed = buffer[10];
+  let offset = 13;
+  let globalTable = null;
+  if (packed & 0x80) {
+    const size = 3 * (2 << (packed & 7));
+    globalTable = buffer.subarray(offset, offset + size);
+    offset += size;
+  }
+
+  const readSubBlocks = () => {
+    const blocks = [];
+    while (offset < buffer.length && buffer[offset] !== 0) {
+      blocks.push(buffer.subarray(offset + 1, offset + 1 + buffer[offset]));
+      offset += buffer[offset] + 1;
+    }
+    offset++;
+    return Buffer.concat(blocks);
+  };
+
+  let transparentIndex = -1;
+  while (offset < buffer.length) {
+    const introducer = buffer[offset++];
+    if (introducer === 0x21) {
+      const label = buffer[offset++];
+      const body = readSubBlocks();
+      if (label === 0xf9 && body.length >= 4 && (body[0] & 1)) {
+        transparentIndex = body[3];
+      }
+    } else if (introducer === 0x2c) {
+      const left = buffer.readUInt16LE(offset);
+      const top = buffer.readUInt16LE(offset + 2);
+      const frameWidth = buffer.readUInt16LE(offset + 4);
+      const frameHeight = buffer.readUInt16LE(offset + 6);
+      const framePacked = buffer[offset + 8];
+      offset += 9;
+
+      let table = globalTable;
+      if (framePacked & 0x80) {
+        const size = 3 * (2 << (framePacked & 7));
+        table = buffer.subarray(offset, offset + size);
+        offset += size;
+      }
+      if (!table) return null;
+
+      const minCodeSize = buffer[offset++];
+      const indices = decodeGifLzw(readSubBlocks(), minCodeSize, frameWidth * frameHeight);
+
+      // Interlaced frames store every 8th row, then every 8th from 4, every 4th from 2 and every 2nd from 1
+      const rows = [];
+      if (framePacked & 0x40) {
+        for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+          for (let row = start; row < frameHeight; row += step) rows.push(row);
+        }
+      } else {
+        for (let row = 0; row < frameHeight; row++) rows.push(row);
+      }
+
+      // Outside the first frame the canvas is transparent
+      const pixels = new Uint8Array(width * height * 4);
+      rows.forEach((row, rowIndex) => {
+        const y = top + row;
+        if (y >= height) return;
+        for (let column = 0; column < frameWidth; column++) {
+          const x = left + column;
+          const index = indices[rowIndex * frameWidth + column];
+          if (x >= width || index === transparentIndex) continue;
+          pixels.set([table[index * 3], table[index * 3 + 1], table[index * 3 + 2], 255], (y * width + x) * 4);
+        }
+      });
+
+      return { width, height, pixels };
+    } else {
+      break;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Group similar colors and rank them by how much of the logo they cover
+ * @param {Function} forEachColor - Calls back with (r, g, b) for every counted pixel
+ * @returns {Object[]} - Dominant colors as { color, coverage }
+ */
+function dominantColors(forEachColor) {
+  const buckets = new Map();
+  let total = 0;
+  forEachColor((r, g, b) => {
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    buckets.set(key, bucket);
+    total++;
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .filter(bucket => bucket.count / total >= MIN_COLOR_COVERAGE)
+    .slice(0, MAX_COLORS)
+    .map(bucket => ({
+      color: toHexColor([bucket.r, bucket.g, bucket.b].map(sum => sum / bucket.count)),
+      coverage: Math.round((bucket.count / total) * 100) / 100
+    }));
+}
+
+/**
+ * Check whether two colors are close enough to be the same color in a logo
+ * @param {number[]} a - Red, green and blue
+ * @param {number[]} b - Red, green and blue
+ * @returns {boolean} - True if the colors are close
+ */
+function similarColor(a, b) {
+  return Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]) <= 48;
+}
+
+/**
+ * Analyse decoded pixels: colors, transparency, an opaque background and the margins around the content
+ * @param {Object} image - { width, height, pixels }
+ * @returns {Object} - Analysis
+ */
+function analyzePixels({ width, height, pixels }) {
+  const rgbAt = index => [pixels[index * 4], pixels[index * 4 + 1], pixels[index * 4 + 2]];
+  const opaqueAt = index => pixels[index * 4 + 3] >= OPAQUE_ALPHA;
+
+  let transparentPixels = 0;
+  for (let index = 0; index < width * height; index++) {
+    if (!opaqueAt(index)) transparentPixels++;
+  }
+
+  // An image with opaque edges carries its own background, which is shown as a box on the login screen
+  const edgeIndices = [];
+  for (let x = 0; x < width; x++) edgeIndices.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) edgeIndices.push(y * width, y * width + width - 1);
+  let ownBackground = null;
+  if (edgeIndices.every(opaqueAt)) {
+    const [edgeColor] = dominantColors(callback => edgeIndices.forEach(index => callback(...rgbAt(index))));
+    if (edgeColor && edgeColor.coverage >= 0.6) {
+      ownBackground = edgeColor.color;
+    }
+  }
+
+  const backgroundRgb = ownBackground ? parseHexColor(ownBackground) : null;
+  const isContent = index => opaqueAt(index) && !(backgroundRgb && similarColor(rgbAt(index), backgroundRgb));
+
+  let left = width, top = height, right = -1, bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isContent(y * width + x)) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  const colors = dominantColors(callback => {
+    for (let index = 0; index < width * height; index++) {
+      if (isContent(index)) callback(...rgbAt(index));
+    }
+  });
+
+  const edges = right < 0 ? null : {
+    content_box: { left, top, width: right - left + 1, height: bottom - top + 1 },
+    margins: { top, right: width - 1 - right, bottom: height - 1 - bottom, left }
+  };
+
+  return {
+    analysis: 'pixels',
+    colors,
+    transparency: transparentPixels > 0,
+    own_background: ownBackground,
+    edges,
+    width,
+    height
+  };
+}
+
+/**
+ * Parse a color as written in SVG
+ * @param {string} value - Color value
+ * @returns {string|null} - Hex color, or null for none, transparent, gradients and colors that cannot be resolved
+ */
+function parseSvgColor(value) {
+  const text = value.trim().toLowerCase();
+  if (SVG_NAMED_COLORS[text]) {
+    return SVG_NAMED_COLORS[text];
+  }
+  if (parseHexColor(text)) {
+    return toHexColor(parseHexColor(text));
+  }
+  const rgb = text.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb && (rgb[4] === undefined || Number(rgb[4]) > 0)) {
+    return toHexColor(rgb.slice(1, 4).map(channel => Math.min(255, Number(channel))));
+  }
+  return null;
+}
+
+/**
+ * Find the fill of a rectangle that covers a whole SVG
+ * @param {string} svgText - SVG document
+ * @returns {string|null} - Hex color of the rectangle, or null if there is none
+ */
+function findBackgroundRect(svgText) {
+  const attribute = (tag, name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1]?.trim();
+  const root = svgText.match(/<svg\b[^>]*>/i)?.[0] || '';
+  const viewBox = (attribute(root, 'viewBox') || '').split(/[\s,]+/).map(Number);
+  const size = {
+    width: [attribute(root, 'width'), viewBox[2]],
+    height: [attribute(root, 'height'), viewBox[3]]
+  };
+
+  for (const [rect] of svgText.matchAll(/<rect\b[^>]*>/gi)) {
+    const covers = dimension => {
+      const value = attribute(rect, dimension);
+      return value === '100%' || (value !== undefined && size[dimension].some(full => full !== undefined && parseFloat(full) === parseFloat(value)));
+    };
+    const atOrigin = ['x', 'y'].every(axis => !parseFloat(attribute(rect, axis) || '0'));
+    const fill = attribute(rect, 'fill');
+    if (atOrigin && covers('width') && covers('height') && fill && parseSvgColor(fill)) {
+      return parseSvgColor(fill);
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the colors an SVG logo is painted with
+ * Colors are ranked by how many times they are used, since painted areas are not measured
+ * @param {string} svgText - SVG document
+ * @returns {Object} - Analysis
+ */
+function analyzeSvg(svgText) {
+  const counts = new Map();
+  let painted = 0;
+  for (const match of svgText.matchAll(/\b(fill|stroke|stop-color)\s*(?:=\s*["']|:\s*)([^;"'>]+)/gi)) {
+    const color = parseSvgColor(match[2]);
+    if (color) {
+      counts.set(color, (counts.get(color) || 0) + 1);
+      painted++;
+    }
+  }
+
+  // Shapes without a fill are painted black
+  const notes = [];
+  if (painted === 0) {
+    counts.set('#000000', 1);
+    painted = 1;
+    notes.push('No fill or stroke colors were found, so the SVG default of black was assumed');
+  }
+
+  // A rectangle covering the whole image is its own background
+  let ownBackground = null;
+  const backgroundRect = findBackgroundRect(svgText);
+  if (backgroundRect && counts.get(backgroundRect) > 0) {
+    ownBackground = backgroundRect;
+    counts.set(ownBackground, counts.get(ownBackground) - 1);
+    painted--;
+  }
+
+  const colors = [...counts.entries()]
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_COLORS)
+    .map(([color, count]) => ({ color, coverage: Math.round((count / Math.max(painted, 1)) * 100) / 100 }));
+
+  return {
+    analysis: 'svg',
+    colors,
+    transparency: ownBackground === null,
+    own_background: ownBackground,
+    edges: null,
+    notes: [...notes, 'SVG colors are ranked by how often they are used, and the edges are not checked']
+  };
+}
+
+/**
+ * Work out the colors, transparency and margins of a logo
+ * @param {Buffer} buffer - Logo data
+ * @param {string} contentType - Sniffed MIME type
+ * @returns {Object} - Analysis; analysis is 'unavailable' for formats that cannot be decoded here
+ */
+export function analyzeLogoImage(buffer, contentType) {
+  if (contentType === 'image/svg+xml') {
+    return analyzeSvg(buffer.toString('utf8'));
+  }
+
+  const image = contentType === 'image/png' ? decodePng(buffer) : contentType === 'image/gif' ? decodeGif(buffer) : null;
+  if (!image) {
+    return {
+      analysis: 'unavailable',
+      colors: [],
+      transparency: null,
+      own_background: null,
+      edges: null,
+      notes: [`Colors could not be read from this ${contentType} image - PNG (not interlaced, up to ${MAX_DECODED_PIXELS / 1000000} million pixels), GIF and SVG logos can be checked`]
+    };
+  }
+
+  return analyzePixels(image);
+}
+
+/**
+ * Rate a logo's colors against a theme background
+ * Colors are compared with the logo's own background when it has one, and that background with the theme's
+ * @param {Object} analysis - Result of analyzeLogoImage
+ * @param {string} theme - 'light' or 'dark'
+ * @returns {Object} - Contrast report with a status of pass, low, fail or unknown
+ */
+function rateContrast(analysis, theme) {
+  const themeBackground = THEME_BACKGROUNDS[theme];
+  const against = analysis.own_background || themeBackground;
+  const colors = analysis.colors.map(({ color, coverage }) => ({ color, coverage, contrast: contrastRatio(color, against) }));
+  const primary = colors[0];
+
+  let status = 'unknown';
+  if (primary) {
+    status = primary.contrast >= MIN_LOGO_CONTRAST ? 'pass' : primary.contrast >= MIN_GRAPHIC_CONTRAST ? 'low' : 'fail';
+  }
+
+  return {
+    background: themeBackground,
+    compared_with: analysis.own_background ? 'logo background' : 'theme background',
+    status,
+    primary_color: primary?.color ?? null,
+    primary_contrast: primary?.contrast ?? null,
+    colors,
+    ...(analysis.own_background && { logo_background_contrast: contrastRatio(analysis.own_background, themeBackground) })
+  };
+}
+
+/**
+ * Describe margin problems for a decoded logo
+ * @param {Object} analysis - Result of analyzeLogoImage
+ * @returns {string[]} - Warnings
+ */
+function edgeWarnings(analysis) {
+  const { edges, width, height } = analysis;
+  if (!edges) {
+    return analysis.analysis === 'pixels' ? ['The logo has no visible content'] : [];
+  }
+
+  const warnings = [];
+  const touching = Object.entries(edges.margins).filter(([, margin]) => margin === 0).map(([side]) => side);
+  if (touching.length > 0 && !analysis.own_background) {
+    warnings.push(`The artwork touches the ${touching.join(', ')} edge${touching.length > 1 ? 's' : ''} - check that nothing was cropped off`);
+  }
+
+  // Margins count against the 400×100 area, so the artwork shows smaller than it could
+  const scale = Math.min(LOGO_DISPLAY_BOX.width / width, LOGO_DISPLAY_BOX.height / height, 1);
+  const fillWidth = edges.content_box.width / width;
+  const fillHeight = edges.content_box.height / height;
+  if (analysis.transparency && fillWidth < MIN_CONTENT_FILL && fillHeight < MIN_CONTENT_FILL) {
+    warnings.push(`Transparent margins take up ${Math.round((1 - fillWidth * fillHeight) * 100)}% of the image, so the artwork displays at only ` +
+      `${Math.round(edges.content_box.width * scale)}×${Math.round(edges.content_box.height * scale)} - trim the margins`);
+  }
+  return warnings;
+}
+
+/**
+ * Check light and dark logos against the Hellō backgrounds
+ * A logo given for one theme only is checked against both backgrounds, since it is shown on both
+ * @param {Object} logos - { light, dark }, each { buffer, logo, source }; either may be omitted
+ * @returns {Object} - { logos, warnings, passed } where passed is true, false or null when colors could not be read
+ */
+export function checkLogos(logos) {
+  const warnings = [];
+  const report = {};
+
+  for (const theme of ['light', 'dark']) {
+    const input = logos[theme];
+    if (!input) continue;
+
+    const analysis = analyzeLogoImage(input.buffer, input.logo.content_type);
+    const themes = logos.light && logos.dark ? [theme] : ['light', 'dark'];
+    const contrast = Object.fromEntries(themes.map(shownOn => [shownOn, rateContrast(analysis, shownOn)]));
+
+    for (const [shownOn, rating] of Object.entries(contrast)) {
+      if (rating.status === 'fail' || rating.status === 'low') {
+        warnings.push(`The ${theme} logo's main color ${rating.primary_color} has a contrast of ${rating.primary_contrast}:1 on the ${shownOn} ` +
+          `${rating.compared_with} - ${rating.status === 'fail' ? `it will be hard to see (at least ${MIN_LOGO_CONTRAST}:1 is recommended)` : `at least ${MIN_LOGO_CONTRAST}:1 is recommended`}`);
+      }
+      for (const color of rating.colors.slice(1)) {
+        if (color.contrast < MIN_GRAPHIC_CONTRAST) {
+          warnings.push(`Parts of the ${theme} logo in ${color.color} (${Math.round(color.coverage * 100)}% of it) have a contrast of ${color.contrast}:1 on the ${shownOn} ${rating.compared_with} and may disappear`);
+        }
+      }
+      if (analysis.own_background && rating.logo_background_contrast >= MIN_GRAPHIC_CONTRAST) {
+        warnings.push(`The ${theme} logo has a solid ${analysis.own_background} background that shows as a box on the ${shownOn} theme - use a transparent background`);
+      }
+    }
+    warnings.push(...edgeWarnings(analysis).map(warning => `${theme === 'light' ? 'Light' : 'Dark'} logo: ${warning}`));
+
+    const { width, height, ...details } = analysis;
+    report[theme] = {
+      source: input.source,
+      logo: input.logo,
+      sha256: crypto.createHash('sha256').update(input.buffer).digest('hex'),
+      ...details,
+      contrast
+    };
+  }
+
+  if (report.light && report.dark && report.light.sha256 === report.dark.sha256) {
+    warnings.push('The same image is used for both themes - a logo that reads well on white rarely reads well on #121212; make a light-on-dark version for the dark theme');
+  } else if (!report.light || !report.dark) {
+    warnings.push(`Only a ${report.light ? 'light' : 'dark'} logo was checked, so it was rated against both backgrounds - add a ${report.light ? 'dark' : 'light'} theme logo`);
+  }
+
+  // passed is null when no contrast problem was found but some colors could not be read
+  const ratings = Object.values(report).flatMap(entry => Object.values(entry.contrast));
+  const passed = ratings.some(rating => rating.status === 'fail' || rating.status === 'low')
+    ? false
+    : ratings.every(rating => rating.status === 'pass') ? true : null;
+
+  return { logos: report, warnings, passed };
+}
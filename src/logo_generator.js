@@ -0,0 +1,221 @@
+// Placeholder logo generator for MCP server
+// Renders matching light and dark SVG logos from an application name
+
+import { LOGO_DISPLAY_BOX } from './utils.js';
+
+export const LOGO_STYLES = ['wordmark', 'monogram'];
+
+// Defaults match the Hellō login screen text colors
+export const DEFAULT_LOGO_COLOR = '#303030';
+export const DEFAULT_DARK_LOGO_COLOR = '#d4d4d4';
+
+// Backgrounds the logos are shown on, and the contrast the guidance asks for against them
+export const THEME_BACKGROUNDS = { light: '#ffffff', dark: '#121212' };
+export const MIN_LOGO_CONTRAST = 4.5;
+
+const FONT_FAMILY = "system-ui, -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+// Wordmarks sit within 60-80px of height and leave a margin inside the 400px width
+const WORDMARK_MAX_FONT_SIZE = 72;
+const WORDMARK_MIN_FONT_SIZE = 24;
+const WORDMARK_MAX_TEXT_WIDTH = LOGO_DISPLAY_BOX.width - 20;
+const AVERAGE_GLYPH_WIDTH = 0.62; // em, for a bold sans-serif
+const LETTER_SPACING = 0.02; // em
+
+const MONOGRAM_SIZE = LOGO_DISPLAY_BOX.height;
+
+/**
+ * Parse a #rgb or #rrggbb color
+ * @param {string} color - Hex color
+ * @returns {number[]|null} - Red, green and blue from 0 to 255, or null if not a hex color
+ */
+export function parseHexColor(color) {
+  const match = typeof color === 'string' && color.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) {
+    return null;
+  }
+
+  const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+  return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+/**
+ * Format red, green and blue as #rrggbb
+ * @param {number[]} rgb - Red, green and blue from 0 to 255
+ * @returns {string} - Hex color
+ */
+export function toHexColor(rgb) {
+  return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Relative luminance as defined by WCAG 2
+ * @param {number[]} rgb - Red, green and blue from 0 to 255
+ * @returns {number} - Luminance from 0 to 1
+ */
+function relativeLuminance(rgb) {
+  const [r, g, b] = rgb.map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} foreground - Hex color
+ * @param {string} background - Hex color
+ * @returns {number} - Contrast ratio from 1 to 21, rounded to two decimals
+ */
+export function contrastRatio(foreground, background) {
+  const lighter = Math.max(relativeLuminance(parseHexColor(foreground)), relativeLuminance(parseHexColor(background)));
+  const darker = Math.min(relativeLuminance(parseHexColor(foreground)), relativeLuminance(parseHexColor(background)));
+  return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+}
+
+/**
+ * Lighten a color towards white until it has enough contrast on the dark theme background
+ * @param {string} color - Hex color used for the light theme
+ * @returns {string} - Hex color for the dark theme
+ */
+function deriveDarkColor(color) {
+  const rgb = parseHexColor(color);
+  for (let mix = 0; mix <= 1; mix += 0.05) {
+    const candidate = toHexColor(rgb.map(channel => channel + (255 - channel) * mix));
+    if (contrastRatio(candidate, THEME_BACKGROUNDS.dark) >= MIN_LOGO_CONTRAST) {
+      return candidate;
+    }
+  }
+  return '#ffffff';
+}
+
+/**
+ * Escape text for use in SVG content or attributes
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+/**
+ * Take up to two initials from a name
+ * @param {string} text - Application name
+ * @returns {string} - Uppercase initials
+ */
+function initialsFor(text) {
+  const words = text.split(/[\s\-_.]+/).filter(Boolean);
+  return words.slice(0, 2).map(word => [...word][0]).join('').toUpperCase();
+}
+
+/**
+ * Render a wordmark filling the 400×100 display area
+ * @param {string} text - Text to render
+ * @param {string} color - Text color
+ * @returns {string} - SVG document
+ */
+function renderWordmark(text, color) {
+  const { width, height } = LOGO_DISPLAY_BOX;
+  const length = [...text].length;
+  const estimatedEm = AVERAGE_GLYPH_WIDTH * length + LETTER_SPACING * (length - 1);
+  const fontSize = Math.max(WORDMARK_MIN_FONT_SIZE, Math.min(WORDMARK_MAX_FONT_SIZE, Math.floor(WORDMARK_MAX_TEXT_WIDTH / estimatedEm)));
+
+  // Long names are squeezed into the width rather than overflowing it
+  const fit = estimatedEm * fontSize > WORDMARK_MAX_TEXT_WIDTH
+    ? ` textLength="${WORDMARK_MAX_TEXT_WIDTH}" lengthAdjust="spacingAndGlyphs"`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<text x="${width / 2}" y="${height / 2}" text-anchor="middle" dominant-baseline="central" font-family="${FONT_FAMILY}" font-size="${fontSize}" font-weight="700" letter-spacing="${LETTER_SPACING}em" fill="${color}"${fit}>${escapeXml(text)}</text>` +
+    '</svg>';
+}
+
+/**
+ * Render a square monogram of the initials on a rounded tile
+ * @param {string} text - Application name
+ * @param {string} color - Tile color
+ * @returns {string} - SVG document
+ */
+function renderMonogram(text, color) {
+  const size = MONOGRAM_SIZE;
+  const initials = initialsFor(text);
+  const fontSize = initials.length > 1 ? size * 0.42 : size * 0.56;
+
+  // Initials use whichever of black or white reads better on the tile
+  const initialsColor = contrastRatio('#ffffff', color) >= contrastRatio('#000000', color) ? '#ffffff' : '#000000';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+    `<rect width="${size}" height="${size}" rx="${size * 0.2}" fill="${color}"/>` +
+    `<text x="${size / 2}" y="${size / 2}" text-anchor="middle" dominant-baseline="central" font-family="${FONT_FAMILY}" font-size="${Math.round(fontSize)}" font-weight="700" fill="${initialsColor}">${escapeXml(initials)}</text>` +
+    '</svg>';
+}
+
+/**
+ * Generate light and dark placeholder logos
+ * @param {Object} options - Logo options
+ * @param {string} options.text - Application name to render
+ * @param {string} options.style - 'wordmark' or 'monogram'
+ * @param {string} options.color - Hex color for the light theme logo
+ * @param {string} options.darkColor - Hex color for the dark theme logo (derived from color if omitted)
+ * @returns {Object} - { valid, errors } or { valid, style, text, light: { svg, color, contrast }, dark: { ... }, warnings }
+ */
+export function generateLogoSvgs({ text, style = 'wordmark', color, darkColor }) {
+  const errors = [];
+  const name = (text || '').trim();
+
+  if (!name) {
+    errors.push('Logo text is empty - set logo_text or give the application a name');
+  }
+  if (!LOGO_STYLES.includes(style)) {
+    errors.push(`Unknown logo style "${style}" - use one of ${LOGO_STYLES.join(', ')}`);
+  }
+  for (const [field, value] of [['logo_color', color], ['logo_dark_color', darkColor]]) {
+    if (value !== undefined && value !== null && !parseHexColor(value)) {
+      errors.push(`${field} must be a hex color such as #1a73e8, not "${value}"`);
+    }
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const lightColor = (color || DEFAULT_LOGO_COLOR).trim().toLowerCase();
+  const resolvedDarkColor = (darkColor || (color ? deriveDarkColor(lightColor) : DEFAULT_DARK_LOGO_COLOR)).trim().toLowerCase();
+  const render = style === 'monogram' ? renderMonogram : renderWordmark;
+
+  const warnings = [];
+  const variants = {};
+  for (const [theme, variantColor] of [['light', lightColor], ['dark', resolvedDarkColor]]) {
+    const contrast = contrastRatio(variantColor, THEME_BACKGROUNDS[theme]);
+    if (contrast < MIN_LOGO_CONTRAST) {
+      warnings.push(`The ${theme} logo color ${variantColor} has a contrast of ${contrast}:1 on ${THEME_BACKGROUNDS[theme]} - at least ${MIN_LOGO_CONTRAST}:1 is recommended`);
+    }
+    variants[theme] = { svg: render(name, variantColor), color: variantColor, background: THEME_BACKGROUNDS[theme], contrast };
+  }
+
+  return { valid: true, style, text: name, ...variants, warnings };
+}
+
+/**
+ * Render logos on the light and dark login backgrounds at their display size
+ * Each panel shows that theme's logo, or the only logo given, inside the dashed 400×100 logo area
+ * @param {Object} logos - { light, dark }, each { content_type, base64 }; either may be omitted
+ * @returns {string} - SVG document
+ */
+export function renderLogoComposite(logos) {
+  const { width, height } = LOGO_DISPLAY_BOX;
+  const padding = 20;
+  const panelWidth = width + padding * 2;
+  const panelHeight = height + padding * 2;
+
+  const panels = ['light', 'dark'].map((theme, index) => {
+    const logo = logos[theme] || logos.light || logos.dark;
+    const y = index * panelHeight;
+    const outline = theme === 'light' ? '#c0c0c0' : '#505050';
+    return `<rect x="0" y="${y}" width="${panelWidth}" height="${panelHeight}" fill="${THEME_BACKGROUNDS[theme]}"/>` +
+      `<rect x="${padding}" y="${y + padding}" width="${width}" height="${height}" fill="none" stroke="${outline}" stroke-dasharray="4 4"/>` +
+      `<image x="${padding}" y="${y + padding}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid meet" href="data:${logo.content_type};base64,${logo.base64}"/>` +
+      `<text x="${panelWidth - 6}" y="${y + panelHeight - 6}" text-anchor="end" font-family="${FONT_FAMILY}" font-size="10" fill="${outline}">${theme}${logos[theme] ? '' : ` (${logos.light ? 'light' : 'dark'} logo)`}</text>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${panelWidth}" height="${panelHeight * 2}" viewBox="0 0 ${panelWidth} ${panelHeight * 2}">${panels.join('')}</svg>`;
+}
@@ -0,0 +1,233 @@
+// Logo upload sessions
+// Lets a client send a large base64 logo as ordered chunks and then commit it as a single upload
+
+import crypto from 'crypto';
+import { MAX_LOGO_SIZE_BYTES } from './utils.js';
+
+// Sessions expire after this long without a chunk
+export const LOGO_UPLOAD_SESSION_TTL_MS = 15 * 60 * 1000;
+
+// Open sessions are held in memory, so their number and size are capped - per user, so one
+// caller cannot hold every slot on the hosted server, and in total
+export const MAX_LOGO_UPLOAD_SESSIONS = 50;
+export const MAX_LOGO_UPLOAD_SESSIONS_PER_OWNER = 5;
+export const MAX_LOGO_UPLOAD_BASE64_LENGTH = Math.ceil(MAX_LOGO_SIZE_BYTES / 3) * 4;
+
+const sessions = new Map();
+
+/**
+ * Create an invalid params error for an upload session problem
+ * @param {string} message - Error message
+ * @param {string} errorType - Stable error type
+ * @param {Object} details - Extra error data
+ * @returns {Error} - Error with JSON-RPC code and data
+ */
+function uploadError(message, errorType, details = {}) {
+  const error = new Error(message);
+  error.code = -32602; // Invalid params
+  error.data = {
+    error_type: errorType,
+    ...details,
+    message
+  };
+  return error;
+}
+
+/**
+ * Hash a value with sha256
+ * @param {string} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Drop sessions that have expired
+ * @param {number} now - Current time in milliseconds
+ */
+function purgeExpiredSessions(now = Date.now()) {
+  for (const [id, session] of sessions) {
+    if (session.expiresAt <= now) {
+      sessions.delete(id);
+    }
+  }
+}
+
+/**
+ * Look up an open session belonging to the caller
+ * @param {string} sessionId - Upload session ID
+ * @param {string} ownerId - Authenticated user ID of the caller
+ * @returns {Object} - Session
+ */
+function getSession(sessionId, ownerId) {
+  purgeExpiredSessions();
+  const session = sessions.get(sessionId);
+
+  // Sessions of other callers are reported as missing so their IDs cannot be probed
+  if (!session || !ownerId || session.owner !== ownerId) {
+    throw uploadError(`Upload session not found or expired: ${sessionId}`, 'upload_session_not_found', {
+      upload_session_id: sessionId
+    });
+  }
+
+  return session;
+}
+
+/**
+ * Describe a session for tool responses
+ * @param {Object} session - Session
+ * @returns {Object} - Session progress without the chunk data
+ */
+function summarizeSession(session) {
+  return {
+    upload_session_id: session.id,
+    client_id: session.clientId,
+    team_id: session.teamId,
+    content_type: session.contentType,
+    theme: session.theme,
+    received_chunks: session.chunks.length,
+    next_chunk_index: session.chunks.length,
+    received_length: session.length,
+    max_length: MAX_LOGO_UPLOAD_BASE64_LENGTH,
+    expires_at: new Date(session.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Open an upload session for one logo
+ * When the caller already has the most sessions allowed, their oldest session is closed to make room
+ * @param {Object} options - Target application and logo details
+ * @param {string} options.ownerId - Authenticated user ID of the caller; only this user can use the session, across token refreshes
+ * @param {string} options.clientId - Application client ID
+ * @param {string} options.teamId - Team that owns the application
+ * @param {string} options.contentType - Declared MIME type of the logo
+ * @param {string} options.theme - 'light' or 'dark'
+ * @returns {Object} - Session summary
+ */
+export function beginLogoUpload({ ownerId, clientId, teamId, contentType, theme }) {
+  if (!ownerId) {
+    throw uploadError('Logo uploads need an authenticated user', 'upload_owner_unknown');
+  }
+  purgeExpiredSessions();
+
+  const owned = [...sessions.values()].filter(session => session.owner === ownerId);
+  if (owned.length >= MAX_LOGO_UPLOAD_SESSIONS_PER_OWNER) {
+    const oldest = owned.reduce((first, session) => (session.createdAt < first.createdAt ? session : first));
+    console.log(`🧹 Closing logo upload session ${oldest.id} to stay within ${MAX_LOGO_UPLOAD_SESSIONS_PER_OWNER} per user`);
+    sessions.delete(oldest.id);
+  }
+  if (sessions.size >= MAX_LOGO_UPLOAD_SESSIONS) {
+    throw uploadError('Too many logo uploads in progress - commit or let an open upload session expire first', 'too_many_upload_sessions', {
+      max_sessions: MAX_LOGO_UPLOAD_SESSIONS
+    });
+  }
+
+  const session = {
+    id: crypto.randomUUID(),
+    owner: ownerId,
+    clientId,
+    teamId,
+    contentType,
+    theme,
+    chunks: [],
+    length: 0,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + LOGO_UPLOAD_SESSION_TTL_MS
+  };
+  sessions.set(session.id, session);
+
+  return summarizeSession(session);
+}
+
+/**
+ * Add the next chunk of base64 text to a session
+ * Chunks may split the base64 text anywhere; re-sending the last chunk is acknowledged again
+ * @param {Object} options - Chunk details
+ * @param {string} options.ownerId - Authenticated user ID of the caller
+ * @param {string} options.sessionId - Upload session ID
+ * @param {number} options.index - Zero-based chunk index
+ * @param {string} options.data - Base64 text of the chunk
+ * @param {string} options.checksum - Optional sha256 hex of the chunk text
+ * @returns {Object} - Session summary with the chunk's sha256
+ */
+export function appendLogoChunk({ ownerId, sessionId, index, data, checksum }) {
+  const session = getSession(sessionId, ownerId);
+  const text = (data || '').replace(/\s/g, '');
+  const chunkSha256 = sha256(text);
+
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text) || text.length === 0) {
+    throw uploadError(`Chunk ${index} is not base64 text`, 'invalid_chunk', { chunk_index: index });
+  }
+  if (checksum && checksum.toLowerCase() !== chunkSha256) {
+    throw uploadError(`Checksum mismatch for chunk ${index} - resend it`, 'chunk_checksum_mismatch', {
+      chunk_index: index,
+      expected_checksum: checksum,
+      received_checksum: chunkSha256
+    });
+  }
+
+  // A retry of the chunk just stored is harmless
+  const lastIndex = session.chunks.length - 1;
+  if (index === lastIndex && session.chunks[lastIndex].sha256 === chunkSha256) {
+    return { ...summarizeSession(session), chunk_sha256: chunkSha256, duplicate: true };
+  }
+
+  if (index !== session.chunks.length) {
+    throw uploadError(`Chunk ${index} is out of order - send chunk ${session.chunks.length} next`, 'chunk_out_of_order', {
+      chunk_index: index,
+      expected_chunk_index: session.chunks.length
+    });
+  }
+  if (session.chunks[lastIndex]?.text.endsWith('=')) {
+    throw uploadError('The previous chunk ended the base64 data with padding - commit the upload', 'invalid_chunk', { chunk_index: index });
+  }
+  if (session.length + text.length > MAX_LOGO_UPLOAD_BASE64_LENGTH) {
+    sessions.delete(session.id);
+    throw uploadError(`Logo exceeds ${MAX_LOGO_SIZE_BYTES} bytes - the upload session was closed`, 'upload_too_large', {
+      max_length: MAX_LOGO_UPLOAD_BASE64_LENGTH
+    });
+  }
+
+  session.chunks.push({ text, sha256: chunkSha256 });
+  session.length += text.length;
+  session.expiresAt = Date.now() + LOGO_UPLOAD_SESSION_TTL_MS;
+
+  return { ...summarizeSession(session), chunk_sha256: chunkSha256 };
+}
+
+/**
+ * Assemble the chunks of a session into the complete base64 logo
+ * @param {Object} options - Session lookup
+ * @param {string} options.ownerId - Authenticated user ID of the caller
+ * @param {string} options.sessionId - Upload session ID
+ * @param {string} options.checksum - Optional sha256 hex of the complete base64 text
+ * @returns {Object} - Session summary and the assembled base64 data
+ */
+export function assembleLogoUpload({ ownerId, sessionId, checksum }) {
+  const session = getSession(sessionId, ownerId);
+
+  if (session.chunks.length === 0) {
+    throw uploadError('No chunks have been sent for this upload session', 'upload_incomplete', { upload_session_id: sessionId });
+  }
+
+  const base64 = session.chunks.map(chunk => chunk.text).join('');
+  const uploadSha256 = sha256(base64);
+  if (checksum && checksum.toLowerCase() !== uploadSha256) {
+    throw uploadError('Checksum mismatch for the assembled logo - check the chunks that were sent', 'upload_checksum_mismatch', {
+      expected_checksum: checksum,
+      received_checksum: uploadSha256,
+      chunk_checksums: session.chunks.map(chunk => chunk.sha256)
+    });
+  }
+
+  return { session: { ...summarizeSession(session), upload_sha256: uploadSha256 }, base64 };
+}
+
+/**
+ * Close an upload session and release its data
+ * @param {string} sessionId - Upload session ID
+ */
+export function endLogoUpload(sessionId) {
+  sessions.delete(sessionId);
+}
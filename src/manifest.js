@@ -0,0 +1,321 @@
+// App manifest support for config-as-code
+// Loads hello.app.json / hello.app.yaml files describing a Hellō application
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import YAML from 'yaml';
+import { detectMimeType, validateMimeType, formatEnvValue, resolveWorkspaceFile } from './utils.js';
+
+// Manifest file names looked up when no path is given, in order
+export const DEFAULT_MANIFEST_FILES = ['hello.app.json', 'hello.app.yaml', 'hello.app.yml'];
+
+// Application fields a manifest may set - same names as the hello_manage_app arguments
+export const MANIFEST_APP_FIELDS = [
+  'name',
+  'tos_uri',
+  'pp_uri',
+  'dev_localhost',
+  'dev_127_0_0_1',
+  'dev_wildcard',
+  'dev_redirect_uris',
+  'prod_redirect_uris',
+  'device_code'
+];
+
+const BOOLEAN_FIELDS = ['dev_localhost', 'dev_127_0_0_1', 'dev_wildcard', 'device_code'];
+const STRING_FIELDS = ['client_id', 'team_id', 'name', 'tos_uri', 'pp_uri'];
+const LIST_FIELDS = ['dev_redirect_uris', 'prod_redirect_uris'];
+const LOGO_THEMES = ['light', 'dark'];
+const CONFIG_KEYS = ['client_id', 'team_id', ...MANIFEST_APP_FIELDS, 'logos'];
+
+/**
+ * Create a JSON-RPC invalid params error for a bad manifest
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Individual validation errors
+ * @returns {Error} - Error with code and data set
+ */
+function manifestError(message, errors = []) {
+  const error = new Error(message);
+  error.code = -32602; // Invalid params
+  error.data = {
+    error_type: 'invalid_manifest',
+    errors,
+    message: errors.length > 0 ? `${message}: ${errors.join('; ')}` : message
+  };
+  return error;
+}
+
+/**
+ * Parse manifest text as JSON or YAML
+ * @param {string} text - Manifest file contents
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {Object} - Parsed manifest
+ */
+export function parseManifest(text, format = 'json') {
+  let manifest;
+  try {
+    manifest = format === 'yaml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw manifestError(`Unable to parse ${format.toUpperCase()} manifest`, [error.message]);
+  }
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw manifestError('Manifest must be an object');
+  }
+
+  return manifest;
+}
+
+/**
+ * Find a manifest file in a directory
+ * @param {string} dir - Directory to search
+ * @returns {string|null} - Path of the first manifest found or null
+ */
+export function findManifest(dir = process.cwd()) {
+  for (const fileName of DEFAULT_MANIFEST_FILES) {
+    const filePath = path.join(dir, fileName);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a manifest file from disk
+ * @param {string} filePath - Path to a .json, .yaml or .yml manifest
+ * @returns {Object} - Parsed manifest, resolved path and the directory logo paths are relative to
+ */
+export function loadManifest(filePath) {
+  const resolvedPath = path.resolve(filePath);
+
+  let text;
+  try {
+    text = fs.readFileSync(resolvedPath, 'utf8');
+  } catch (error) {
+    throw manifestError(`Unable to read manifest ${filePath}`, [error.message]);
+  }
+
+  const format = /\.ya?ml$/i.test(resolvedPath) ? 'yaml' : 'json';
+
+  return {
+    manifest: parseManifest(text, format),
+    path: resolvedPath,
+    baseDir: path.dirname(resolvedPath)
+  };
+}
+
+/**
+ * Validate a manifest and apply environment overrides
+ * @param {Object} manifest - Parsed manifest
+ * @param {string} environment - Optional key into manifest.environments
+ * @returns {Object} - Effective app configuration without the environments map
+ */
+export function resolveManifest(manifest, environment) {
+  const { environments, ...base } = manifest;
+
+  let config = base;
+  if (environment) {
+    if (!environments || !environments[environment]) {
+      const available = Object.keys(environments || {});
+      throw manifestError(`Environment "${environment}" is not defined in the manifest`, [
+        available.length > 0 ? `Available environments: ${available.join(', ')}` : 'The manifest has no environments section'
+      ]);
+    }
+    const overrides = environments[environment];
+    config = {
+      ...base,
+      ...overrides,
+      logos: { ...(base.logos || {}), ...(overrides.logos || {}) }
+    };
+  }
+
+  const errors = validateManifestConfig(config);
+  if (environments !== undefined && (typeof environments !== 'object' || Array.isArray(environments))) {
+    errors.push('environments must be an object keyed by environment name');
+  }
+  if (errors.length > 0) {
+    throw manifestError('Invalid manifest', errors);
+  }
+
+  // Drop an empty logos section left over from merging
+  if (config.logos && Object.keys(config.logos).length === 0) {
+    delete config.logos;
+  }
+
+  return config;
+}
+
+/**
+ * Check manifest keys and value types
+ * @param {Object} config - Effective app configuration
+ * @returns {Array<string>} - Validation errors
+ */
+function validateManifestConfig(config) {
+  const errors = [];
+
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      errors.push(`Unknown field "${key}"`);
+    }
+  }
+
+  for (const field of STRING_FIELDS) {
+    if (config[field] !== undefined && typeof config[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  for (const field of BOOLEAN_FIELDS) {
+    if (config[field] !== undefined && typeof config[field] !== 'boolean') {
+      errors.push(`${field} must be true or false`);
+    }
+  }
+  for (const field of LIST_FIELDS) {
+    if (config[field] !== undefined && (!Array.isArray(config[field]) || config[field].some(uri => typeof uri !== 'string'))) {
+      errors.push(`${field} must be a list of URIs`);
+    }
+  }
+
+  if (config.logos !== undefined) {
+    if (!config.logos || typeof config.logos !== 'object' || Array.isArray(config.logos)) {
+      errors.push('logos must be an object with light and/or dark file paths');
+    } else {
+      for (const [theme, logoPath] of Object.entries(config.logos)) {
+        if (!LOGO_THEMES.includes(theme)) {
+          errors.push(`Unknown logo theme "${theme}" - use light or dark`);
+        } else if (typeof logoPath !== 'string') {
+          errors.push(`logos.${theme} must be a file path`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read a logo file referenced by a manifest
+ * @param {string} logoPath - Logo path, relative to the manifest directory
+ * @param {string} baseDir - Manifest directory
+ * @param {Array<string>|null} workspaceRoots - Roots the file must really be inside, or null to read any file
+ * @returns {Object} - Base64 data, content type, size and sha256 of the file
+ */
+export function readManifestLogo(logoPath, baseDir, workspaceRoots = null) {
+  let resolvedPath = path.resolve(baseDir, logoPath);
+  if (workspaceRoots) {
+    const contained = resolveWorkspaceFile(resolvedPath, workspaceRoots);
+    if (!contained.valid) {
+      throw manifestError(`Unable to read logo file ${logoPath}`, [contained.error]);
+    }
+    resolvedPath = contained.path;
+  }
+
+  const contentType = detectMimeType('', resolvedPath);
+  const mimeValidation = validateMimeType(contentType);
+  if (!mimeValidation.valid) {
+    throw manifestError(`Unsupported logo file ${logoPath}`, [mimeValidation.error]);
+  }
+
+  let buffer;
+  try {
+    buffer = fs.readFileSync(resolvedPath);
+  } catch (error) {
+    throw manifestError(`Unable to read logo file ${logoPath}`, [error.message]);
+  }
+
+  return {
+    path: resolvedPath,
+    data: buffer.toString('base64'),
+    contentType,
+    sizeBytes: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
+/**
+ * Convert an Admin API application into a re-importable manifest definition
+ * @param {Object} app - Application as stored by the Admin API
+ * @param {string} teamId - Team that owns the application
+ * @returns {Object} - Manifest definition; unset fields are left out
+ */
+export function applicationToManifest(app, teamId) {
+  const definition = {
+    client_id: app.id,
+    team_id: teamId,
+    name: app.name,
+    tos_uri: app.tos_uri,
+    pp_uri: app.pp_uri,
+    dev_localhost: app.web?.dev?.localhost,
+    dev_127_0_0_1: app.web?.dev?.["127.0.0.1"],
+    dev_wildcard: app.web?.dev?.wildcard_domain,
+    dev_redirect_uris: app.web?.dev?.redirect_uris || [],
+    prod_redirect_uris: app.web?.prod?.redirect_uris || [],
+    device_code: app.device_code
+  };
+
+  for (const [field, value] of Object.entries(definition)) {
+    if (value === null || value === undefined) {
+      delete definition[field];
+    }
+  }
+
+  return definition;
+}
+
+/**
+ * Serialize a manifest or team export as JSON or YAML
+ * @param {Object} data - Manifest definition or team export
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string} - Serialized document
+ */
+export function serializeManifest(data, format = 'json') {
+  return format === 'yaml' ? YAML.stringify(data) : `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Render an application's client settings as .env lines
+ * @param {Object} app - Application as stored by the Admin API
+ * @param {string} prefix - Optional variable name prefix, used when several apps share a file
+ * @returns {Array<string>} - .env lines including a descriptive comment header
+ */
+export function applicationToEnvLines(app, prefix = '') {
+  const prodUris = app.web?.prod?.redirect_uris || [];
+  const devUris = app.web?.dev?.redirect_uris || [];
+  // Read by the Hellō SDKs - they derive the redirect URI from the request unless one is set
+  const sdkVariables = {
+    HELLO_CLIENT_ID: app.id,
+    HELLO_REDIRECT_URI: prodUris.length === 1 ? prodUris[0] : undefined
+  };
+  // Registered redirect settings, for scripts and audits
+  const settingVariables = {
+    HELLO_PROD_REDIRECT_URIS: prodUris.join(','),
+    HELLO_DEV_REDIRECT_URIS: devUris.join(','),
+    HELLO_DEV_LOCALHOST: app.web?.dev?.localhost,
+    HELLO_DEV_127_0_0_1: app.web?.dev?.["127.0.0.1"],
+    HELLO_DEV_WILDCARD: app.web?.dev?.wildcard_domain
+  };
+
+  const lines = [`# Hellō application: ${app.name}`];
+  const pushVariables = (variables) => {
+    for (const [key, value] of Object.entries(variables)) {
+      if (value !== undefined && value !== null) {
+        lines.push(`${prefix}${key}=${formatEnvValue(value)}`);
+      }
+    }
+  };
+  pushVariables(sdkVariables);
+  lines.push('# Registered redirect settings (not read by the Hellō SDKs)');
+  pushVariables(settingVariables);
+  return lines;
+}
+
+/**
+ * Derive a .env variable prefix from an application name
+ * @param {string} name - Application name
+ * @returns {string} - Upper snake case prefix ending in an underscore
+ */
+export function envPrefixForName(name) {
+  const slug = String(name || 'APP').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return `${/^[0-9]/.test(slug) || !slug ? 'APP_' : ''}${slug}_`;
+}
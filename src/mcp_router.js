@@ -1,6 +1,7 @@
 // MCP Router - Main router that handles MCP protocol routing
 // Delegates to feature modules (tools, resources, prompts)
 
+import { fileURLToPath } from 'url';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import {
   CallToolRequestSchema,
@@ -53,6 +54,26 @@ export class MCPRouter {
     return this.transport;
   }
 
+  /**
+   * Get the directories local tools may read from
+   * Uses the client's roots when it declares them, otherwise the working directory
+   * @returns {Promise<Array<string>>} - Workspace root directories
+   */
+  async getWorkspaceRoots() {
+    if (this.getTransportType() === 'stdio' && this.mcpServer.getClientCapabilities()?.roots) {
+      try {
+        const { roots } = await this.mcpServer.listRoots();
+        const directories = roots.filter(root => root.uri.startsWith('file://')).map(root => fileURLToPath(root.uri));
+        if (directories.length > 0) {
+          return directories;
+        }
+      } catch (error) {
+        console.error('Failed to list client roots, using the working directory:', error.message);
+      }
+    }
+    return [process.cwd()];
+  }
+
   /**
    * Setup MCP request handlers
    */
@@ -60,7 +81,7 @@ export class MCPRouter {
     // List tools handler
     this.mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
-        tools: getToolDefinitions()
+        tools: getToolDefinitions({ transport: this.getTransportType() })
       };
     });
 
@@ -99,7 +120,10 @@ export class MCPRouter {
       const { name, arguments: args } = request.params;
       
       try {
-        const result = await handleToolCall(name, args, this.apiClient, this.authManager);
+        const result = await handleToolCall(name, args, this.apiClient, this.authManager, {
+          transport: this.getTransportType(),
+          getWorkspaceRoots: () => this.getWorkspaceRoots()
+        });
         
         // Track successful tool call
         const responseTime = Math.round(performance.now() - startTime);
@@ -2,10 +2,42 @@
 // Focused on new Hellō developers who want to easily create first app
 
 import crypto from 'crypto';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
 import FormData from 'form-data';
-import { validateMimeType, detectMimeType, extractBase64FromDataUrl, createMCPContent } from './utils.js';
+import { validateMimeType, detectMimeType, extractBase64FromDataUrl, inspectLogoImage, sniffImageType, sanitizeSvg, findActiveSvgContent, MAX_LOGO_SIZE_BYTES, createMCPContent, validateRequiredFields, resolveWorkspaceFile, resolveWorkspaceTarget, hasEnvKey, mergeEnvContent } from './utils.js';
+import { generateLegalDocs } from './legal_generator.js';
+import { MANIFEST_APP_FIELDS, loadManifest, resolveManifest, readManifestLogo, applicationToManifest, applicationToEnvLines, envPrefixForName, serializeManifest } from './manifest.js';
+import { lintRedirectUris } from './redirect_uris.js';
+import { beginLogoUpload, appendLogoChunk, assembleLogoUpload, endLogoUpload } from './logo_uploads.js';
+import { fetchPublicUrl } from './url_fetch.js';
+import { generateLogoSvgs, renderLogoComposite, LOGO_STYLES, THEME_BACKGROUNDS } from './logo_generator.js';
+import { checkLogos } from './logo_check.js';
+import { generateLoginSnippet, validateLoginParams, isRedirectUriAllowed, LOGIN_STACKS, LOGIN_SCOPES, DEFAULT_LOGIN_SCOPE, BUTTON_COLORS, BUTTON_THEMES, BUTTON_HOVERS } from './login_snippets.js';
+import { createAuthorizationUrl, startCallbackServer, exchangeCodeForToken, stopCallbackServer } from './local_oauth.js';
+import { decodeToken, checkTokenClaims, missingScopeClaims, getIssuerJwks, verifyTokenSignature } from './id_token.js';
+import { validateJWT } from './jwt-validation.js';
 import { sendPlausibleEvent } from './analytics.js';
-import { HELLO_ADMIN, HELLO_DOMAIN } from './config.js';
+import { HELLO_ADMIN, HELLO_DOMAIN, HELLO_ISSUER, HELLO_AUDIENCE, HELLO_RESPONSE_VERBOSITY, RESPONSE_VERBOSITY_LEVELS } from './config.js';
+import { pkce } from '@hellocoop/helper-server';
+import open from 'open';
+
+// How long rotate_secret suggests keeping old secrets before revoking them; the server never revokes them itself
+const DEFAULT_SECRET_GRACE_PERIOD_SECONDS = 3600;
+
+// How long manifest sync waits when fetching a live logo to compare
+const MANIFEST_LOGO_FETCH_TIMEOUT_MS = 5000;
+
+// Random bytes in a generated HELLO_COOKIE_SECRET
+const COOKIE_SECRET_BYTES = 32;
+
+// How long hello_test_login waits for the user to finish logging in
+const TEST_LOGIN_DEFAULT_TIMEOUT_SECONDS = 300;
+const TEST_LOGIN_MAX_TIMEOUT_SECONDS = 900;
+
+// Image content blocks for a tool result, kept off the JSON text
+const LOGO_PREVIEW_CONTENT = Symbol('logoPreviewContent');
 
 /**
  * Generate console URL with proper query parameters
@@ -58,23 +90,114 @@ function flattenApp(app) {
   return flattened;
 }
 
+// One logo for update_logos, given as data, a URL or a workspace file
+const LOGO_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    logo_data: { type: 'string', description: 'Base64 encoded logo data' },
+    logo_content_type: { type: 'string', description: 'MIME type of logo_data' },
+    logo_url: { type: 'string', description: 'URL of the logo image' },
+    logo_file: { type: 'string', description: 'Workspace path of the logo file (local server only)' }
+  }
+};
+
+// Application settings shared by hello_create_app and hello_update_app
+const APP_SETTINGS_PROPERTIES = {
+  name: { type: 'string', description: 'Name of the application' },
+  tos_uri: { type: 'string', description: 'Terms of Service URI' },
+  pp_uri: { type: 'string', description: 'Privacy Policy URI' },
+  dev_localhost: { type: 'boolean', description: 'Allow localhost redirects in development' },
+  dev_127_0_0_1: { type: 'boolean', description: 'Allow 127.0.0.1 redirects in development' },
+  dev_wildcard: { type: 'boolean', description: 'Allow wildcard domain redirects in development' },
+  dev_redirect_uris: { type: 'array', items: { type: 'string' }, description: 'Allowed redirect URIs for development' },
+  prod_redirect_uris: { type: 'array', items: { type: 'string' }, description: 'Allowed redirect URIs for production - these are only ever added, never removed' },
+  device_code: { type: 'boolean', description: 'Whether the application supports the device code flow' },
+  strict_redirect_uris: { type: 'boolean', description: 'Block the write when the redirect URI linter reports errors for the URIs it adds (optional, defaults to false - findings are only reported in action_result.redirect_uri_lint)' }
+};
+
+// Taken by every tool whose result carries the developer profile
+const VERBOSITY_PROPERTY = {
+  type: 'string',
+  enum: RESPONSE_VERBOSITY_LEVELS,
+  description: `How much context to return: "minimal" (the affected application and action result, no profile), "standard" (profile trimmed to the user, teams and application names) or "full" (the whole profile with every application) (optional, defaults to "${HELLO_RESPONSE_VERBOSITY}")`
+};
+
+const TEAM_ID_PROPERTY = {
+  type: 'string',
+  description: 'ID of the team that owns the application (optional - uses default team if not specified)'
+};
+
+// Parts of the outputSchema tools declare for their structuredContent
+const ACTION_RESULT_OUTPUT_SCHEMA = {
+  type: 'object',
+  description: 'What the call did: the action, whether it succeeded, a message and any warnings',
+  properties: {
+    action: { type: 'string' },
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    warnings: { type: 'array' }
+  },
+  required: ['action', 'success']
+};
+
+const APP_RESULT_OUTPUT_PROPERTIES = {
+  profile: { type: 'object', description: 'Signed-in user, their teams, the current team and its applications - trimmed or left out according to verbosity' },
+  application: { type: ['object', 'null'], description: 'The application, with redirect settings flattened' },
+  console_url: { type: ['string', 'null'], description: 'Link to the application in the Hellō console' }
+};
+
+/**
+ * Build a tool outputSchema around action_result
+ * @param {Object} properties - Result fields besides action_result
+ * @param {Array<string>} required - Fields every successful result has, besides action_result
+ * @returns {Object} - JSON Schema for the tool's structuredContent
+ */
+function resultOutputSchema(properties = {}, required = []) {
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      action_result: ACTION_RESULT_OUTPUT_SCHEMA
+    },
+    required: [...required, 'action_result']
+  };
+}
+
+// Focused app tools and the hello_manage_app action each one runs; hello_set_logo picks its action from the logo given
+const FOCUSED_APP_TOOL_ACTIONS = {
+  hello_get_profile: 'read',
+  hello_read_app: 'read',
+  hello_create_app: 'create',
+  hello_update_app: 'update',
+  hello_create_secret: 'create_secret'
+};
+
 /**
  * Get tool definitions for MCP
+ * @param {Object} options - Listing options, e.g. { transport: 'stdio' }
  * @returns {Array} - Array of tool definitions
  */
-export function getToolDefinitions() {
+export function getToolDefinitions(options = {}) {
   sendPlausibleEvent('/tools/list');
-  return [
+  const tools = [
+    ...getFocusedAppToolDefinitions(),
     {
       name: 'hello_manage_app',
-      description: 'Manage Hellō applications - create, read, update, create secrets, and upload logos',
+      description: 'Manage Hellō applications with every action in one tool - create, read, update, secrets, logos, archive, delete and export. The hello_get_profile, hello_read_app, hello_create_app, hello_update_app, hello_create_secret and hello_set_logo tools cover the common actions with simpler schemas.',
+      annotations: {
+        title: 'Manage Hellō application',
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: false,
+        openWorldHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
                   action: {
           type: 'string',
-          enum: ['create', 'read', 'update', 'create_secret', 'update_logo_from_data', 'update_logo_from_url'],
-          description: 'Action to perform: create (new app), read (get app), update (modify app), create_secret (generate secret), update_logo_from_data (set logo from base64 data), update_logo_from_url (set logo from URL)'
+          enum: ['create', 'read', 'update', 'create_secret', 'list_secrets', 'revoke_secret', 'rotate_secret', 'update_logo_from_data', 'update_logo_from_url', 'update_logos', 'generate_logo', 'check_logo', 'begin_logo_upload', 'append_logo_chunk', 'commit_logo_upload', 'archive', 'unarchive', 'delete', 'export', 'remove_prod_redirect_uris'],
+          description: 'Action to perform: create (new app), read (get app), update (modify app), create_secret (generate secret), list_secrets (list secret metadata), revoke_secret (revoke one secret), rotate_secret (create a new secret, then revoke the old one now with grace_period_seconds 0 or leave it valid until you revoke it with revoke_secret - nothing revokes it automatically), update_logo_from_data (set logo from base64 data), update_logo_from_url (set logo from URL), update_logos (set light and dark logos together, all or nothing), generate_logo (create and set placeholder light and dark SVG logos from the app name), check_logo (report how visible logos are on the light and dark login backgrounds), begin_logo_upload / append_logo_chunk / commit_logo_upload (set logo from base64 data sent in chunks, for logos too large for one call), archive (hide app, reversible), unarchive (restore archived app), delete (permanently remove app), export (re-importable app definition; all apps in the team if client_id is omitted), remove_prod_redirect_uris (remove listed production redirect URIs after confirmation)'
         },
           team_id: {
             type: 'string',
@@ -82,7 +205,7 @@ export function getToolDefinitions() {
           },
           client_id: {
             type: 'string',
-            description: 'ID of the OAuth client/application (optional for read - returns profile if omitted; required for: update, create_secret, update_logo_from_data, update_logo_from_url)'
+            description: 'ID of the OAuth client/application (optional for read - returns profile if omitted; optional for export - exports every app in the team if omitted; optional for check_logo - checks the app\'s current logos when light_logo and dark_logo are omitted; required for: update, create_secret, list_secrets, revoke_secret, rotate_secret, update_logo_from_data, update_logo_from_url, update_logos, generate_logo, begin_logo_upload, archive, unarchive, delete, remove_prod_redirect_uris)'
           },
           name: {
             type: 'string',
@@ -116,7 +239,7 @@ export function getToolDefinitions() {
           prod_redirect_uris: {
             type: 'array',
             items: { type: 'string' },
-            description: 'Array of allowed redirect URIs for production environment (optional for: create, update)'
+            description: 'Array of allowed redirect URIs for production environment (optional for: create, update - production URIs are only ever added; required for: remove_prod_redirect_uris - the URIs to remove)'
           },
           device_code: {
             type: 'boolean',
@@ -124,7 +247,7 @@ export function getToolDefinitions() {
           },
           logo_data: {
             type: 'string',
-            description: 'Base64 encoded logo data (required for: update_logo_from_data)'
+            description: `Base64 encoded logo data, at most ${MAX_LOGO_SIZE_BYTES / 1024}KB decoded; the format must match logo_content_type (required for: update_logo_from_data)`
           },
           logo_url: {
             type: 'string',
@@ -132,12 +255,92 @@ export function getToolDefinitions() {
           },          
           logo_content_type: {
             type: 'string',
-            description: 'MIME type of the logo data, e.g. "image/png" (required for: update_logo_from_data; auto-detected for: update_logo_from_url)'
+            description: 'MIME type of the logo data, e.g. "image/png" (required for: update_logo_from_data, begin_logo_upload; auto-detected for: update_logo_from_url)'
+          },
+          light_logo: {
+            ...LOGO_INPUT_SCHEMA,
+            description: 'Light theme logo as { logo_data, logo_content_type }, { logo_url } or, on the local server, { logo_file } (required for: update_logos; optional for: check_logo)'
+          },
+          dark_logo: {
+            ...LOGO_INPUT_SCHEMA,
+            description: 'Dark theme logo, in the same form as light_logo (required for: update_logos; optional for: check_logo)'
+          },
+          preview_images: {
+            type: 'boolean',
+            description: 'Add the logos to the result, with an SVG preview of them on the light and dark login backgrounds, so they can be checked for contrast and cropping - PNG, JPEG, GIF and WebP as MCP image content, SVG as an embedded image/svg+xml resource (optional for: update_logo_from_data, update_logo_from_url, update_logo_from_file, update_logos, generate_logo, check_logo, commit_logo_upload; works with dry_run)'
+          },
+          logo_style: {
+            type: 'string',
+            enum: LOGO_STYLES,
+            description: 'Style of generated logo: wordmark (the name as text, 400×100) or monogram (initials on a square tile) (optional for: generate_logo, defaults to "wordmark")'
+          },
+          logo_text: {
+            type: 'string',
+            description: 'Text for the generated logo (optional for: generate_logo, defaults to the application name)'
+          },
+          logo_color: {
+            type: 'string',
+            description: 'Hex color of the light theme logo, e.g. "#1a73e8" (optional for: generate_logo, defaults to "#303030")'
+          },
+          logo_dark_color: {
+            type: 'string',
+            description: 'Hex color of the dark theme logo (optional for: generate_logo, defaults to a lighter tint of logo_color that reads on dark backgrounds)'
+          },
+          upload_session_id: {
+            type: 'string',
+            description: 'Upload session ID returned by begin_logo_upload (required for: append_logo_chunk, commit_logo_upload)'
+          },
+          chunk_index: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Zero-based position of the chunk; chunks must be sent in order and re-sending the last chunk is harmless (required for: append_logo_chunk)'
+          },
+          chunk_data: {
+            type: 'string',
+            description: 'Next piece of the base64 logo text; the text may be split anywhere (required for: append_logo_chunk)'
+          },
+          chunk_checksum: {
+            type: 'string',
+            description: 'sha256 hex digest of chunk_data, checked before the chunk is stored (optional for: append_logo_chunk)'
+          },
+          upload_checksum: {
+            type: 'string',
+            description: 'sha256 hex digest of the complete base64 logo text, checked before upload (optional for: commit_logo_upload)'
           },
           theme: {
             type: 'string',
             enum: ['light', 'dark'],
-            description: 'Logo theme - whether this is for light or dark mode (optional for: update_logo_from_data, update_logo_from_url, defaults to "light")'
+            description: 'Logo theme - whether this is for light or dark mode (optional for: update_logo_from_data, update_logo_from_url, begin_logo_upload, defaults to "light")'
+          },
+          secret_id: {
+            type: 'string',
+            description: 'ID of a client secret as returned by list_secrets (required for: revoke_secret; required for rotate_secret when the app has more than one secret - names the secret being replaced)'
+          },
+          grace_period_seconds: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Seconds deployments need to pick up the new secret before the old one is revoked (optional for: rotate_secret, defaults to 3600; 0 revokes the old secret immediately). Any other value only sets revoke_after in the result - the old secret stays valid until you call revoke_secret'
+          },
+          dry_run: {
+            type: 'boolean',
+            description: 'Preview the change as a field-level diff without writing anything or uploading a logo (optional for: update, update_logo_from_data, update_logo_from_url, update_logos, generate_logo, commit_logo_upload)'
+          },
+          confirm_name: {
+            type: 'string',
+            description: 'Exact current name of the application, echoed back to confirm a destructive change (required for: archive, delete)'
+          },
+          strict_redirect_uris: {
+            type: 'boolean',
+            description: 'Block the write when the redirect URI linter reports errors for the URIs it adds, such as localhost in production or a fragment (optional for: create, update, defaults to false - findings are only reported in action_result.redirect_uri_lint)'
+          },
+          confirm_token: {
+            type: 'string',
+            description: 'Confirmation token returned by a first remove_prod_redirect_uris call, sent back to carry out the removal (required to complete: remove_prod_redirect_uris)'
+          },
+          format: {
+            type: 'string',
+            enum: ['json', 'yaml', 'env'],
+            description: 'Output format for export: json or yaml (manifest usable with hello_sync_manifest) or env (.env lines with HELLO_CLIENT_ID and redirect settings) (optional for: export, defaults to "json")'
           }
         },
         required: ['action'],
@@ -174,6 +377,30 @@ export function getToolDefinitions() {
               required: ['action', 'client_id']
             }
           },
+          {
+            if: {
+              properties: { action: { const: 'list_secrets' } }
+            },
+            then: {
+              required: ['action', 'client_id']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'revoke_secret' } }
+            },
+            then: {
+              required: ['action', 'client_id', 'secret_id']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'rotate_secret' } }
+            },
+            then: {
+              required: ['action', 'client_id']
+            }
+          },
           {
             if: {
               properties: { action: { const: 'update_logo_from_data' } }
@@ -189,591 +416,3624 @@ export function getToolDefinitions() {
             then: {
               required: ['action', 'client_id', 'logo_url']
             }
+          },
+          {
+            if: {
+              properties: { action: { const: 'update_logos' } }
+            },
+            then: {
+              required: ['action', 'client_id', 'light_logo', 'dark_logo']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'generate_logo' } }
+            },
+            then: {
+              required: ['action', 'client_id']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'check_logo' } }
+            },
+            then: {
+              anyOf: [
+                { required: ['action', 'light_logo'] },
+                { required: ['action', 'dark_logo'] },
+                { required: ['action', 'client_id'] }
+              ]
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'begin_logo_upload' } }
+            },
+            then: {
+              required: ['action', 'client_id', 'logo_content_type']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'append_logo_chunk' } }
+            },
+            then: {
+              required: ['action', 'upload_session_id', 'chunk_index', 'chunk_data']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'commit_logo_upload' } }
+            },
+            then: {
+              required: ['action', 'upload_session_id']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'archive' } }
+            },
+            then: {
+              required: ['action', 'client_id', 'confirm_name']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'unarchive' } }
+            },
+            then: {
+              required: ['action', 'client_id']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'delete' } }
+            },
+            then: {
+              required: ['action', 'client_id', 'confirm_name']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'remove_prod_redirect_uris' } }
+            },
+            then: {
+              required: ['action', 'client_id', 'prod_redirect_uris']
+            }
           }
         ]
+      },
+      outputSchema: resultOutputSchema({
+        ...APP_RESULT_OUTPUT_PROPERTIES,
+        diff: { type: 'object', description: 'Field-level changes, returned instead of writing when dry_run is set' },
+        client_secret: { type: 'string', description: 'New secret from create_secret or rotate_secret' },
+        secrets: { type: 'array', description: 'Secret metadata from list_secrets' },
+        upload_result: { type: 'object', description: 'Uploaded logo URL' },
+        upload_session: { type: 'object', description: 'Chunked logo upload progress' }
+      })
+    },
+    {
+      name: 'hello_generate_legal_docs',
+      description: 'Generate starter Terms of Service and Privacy Policy documents in markdown, plus next steps for hosting them and setting tos_uri and pp_uri on a Hellō application',
+      annotations: {
+        title: 'Generate legal documents',
+        readOnlyHint: true,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          company_name: {
+            type: 'string',
+            description: 'Legal name of the company or individual operating the application'
+          },
+          app_name: {
+            type: 'string',
+            description: 'Name of the application or service the documents cover'
+          },
+          contact_email: {
+            type: 'string',
+            description: 'Email address users can contact about legal and privacy questions'
+          },
+          website_url: {
+            type: 'string',
+            description: 'Website domain without scheme, e.g. "example.com" - used to suggest tos_uri and pp_uri'
+          },
+          physical_address: {
+            type: 'string',
+            description: 'Postal address to include in the contact sections (optional)'
+          },
+          data_collection: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Personal data the application collects (optional, defaults to ["name", "email", "profile picture"])'
+          },
+          service_type: {
+            type: 'string',
+            enum: ['web_app', 'mobile_app', 'saas', 'ecommerce', 'social', 'marketplace', 'blog', 'portfolio'],
+            description: 'Kind of service offered (optional, defaults to a generic online service)'
+          },
+          target_users: {
+            type: 'string',
+            description: 'Intended audience, e.g. "general_public", "businesses" or "children_under_13" - children_under_13 adds COPPA language (optional)'
+          },
+          geographic_scope: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Regions where the service is offered, e.g. ["United States", "European Union", "California"] (optional, defaults to ["United States"])'
+          },
+          third_party_services: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Third-party services that may process user data, e.g. ["Stripe", "Google Analytics"] (optional)'
+          },
+          user_generated_content: {
+            type: 'boolean',
+            description: 'Whether users can post content to the service (optional, defaults to false)'
+          },
+          payment_processing: {
+            type: 'boolean',
+            description: 'Whether the service takes payments (optional, defaults to false)'
+          },
+          subscription_model: {
+            type: 'boolean',
+            description: 'Whether payments are recurring subscriptions (optional, defaults to false; only used with payment_processing)'
+          },
+          data_retention_period: {
+            type: 'string',
+            description: 'How long personal data is kept (optional, defaults to "until account deletion")'
+          },
+          cookies_tracking: {
+            type: 'boolean',
+            description: 'Whether the service uses cookies or similar tracking (optional, defaults to true)'
+          },
+          marketing_communications: {
+            type: 'boolean',
+            description: 'Whether users may receive marketing email (optional, defaults to false)'
+          },
+          age_restrictions: {
+            type: 'string',
+            description: 'Minimum user age (optional, defaults to "13")'
+          },
+          intellectual_property: {
+            type: 'boolean',
+            description: 'Whether to include an intellectual property section (optional, defaults to false)'
+          },
+          dispute_resolution: {
+            type: 'string',
+            enum: ['courts', 'arbitration', 'mediation'],
+            description: 'How disputes are resolved (optional, defaults to "courts")'
+          },
+          governing_law: {
+            type: 'string',
+            description: 'Jurisdiction whose law governs the terms (optional, defaults to "Delaware")'
+          }
+        },
+        required: ['company_name', 'app_name', 'contact_email', 'website_url']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          terms_of_service: { type: 'string', description: 'Terms of Service in markdown' },
+          privacy_policy: { type: 'string', description: 'Privacy Policy in markdown' },
+          next_steps: { type: 'string', description: 'Guidance on hosting the documents and setting tos_uri and pp_uri, in markdown' }
+        },
+        required: ['terms_of_service', 'privacy_policy', 'next_steps']
       }
-    }
-  ];
-}
-
-/**
- * Get or create default team for a user
- * @param {Object} apiClient - Admin API client instance
- * @returns {Promise<string>} - Team ID
- */
-async function getOrCreateDefaultTeam(apiClient, profile) {
-  try {
-    // Check if user has existing teams (using transformed structure)
-    if (profile?.teams?.length > 0 && profile.teams[0].id) {
-      return profile.teams[0].id;
-    }
-    
-    // No teams exist, create a default one
-    const userName = profile.user?.name || 'My';
-    const defaultTeamName = `${userName} Team`;
-    
-    const newTeam = await apiClient.callAdminAPI('POST', '/api/v1/publishers', {
-      name: defaultTeamName
-    });
-    
-    return newTeam.profile.id;
-  } catch (error) {
-    throw new Error(`Failed to get or create default team: ${error.message}`);
-  }
-}
-
-/**
- * Validate a redirect URI
- * @param {string} uri - The URI to validate
- * @param {boolean} isProduction - Whether this is for production environment
- * @returns {boolean} - True if valid, false otherwise
- */
-function validateRedirectUri(uri, isProduction = false) {
-  if (!uri || typeof uri !== 'string' || uri.trim() === '') {
-    return false;
-  }
-  
-  try {
-    const url = new URL(uri);
-    
-    // For production, only reject known insecure schemes
-    if (isProduction) {
-      // Only reject clearly problematic schemes for security
-      const rejectedSchemes = ['http:', 'ftp:', 'file:', 'data:', 'javascript:'];
-      if (rejectedSchemes.includes(url.protocol)) {
-        return false;
-      }
-      // Accept https and any other custom scheme that URL constructor can parse
-    }
-    
-    // If URL constructor can parse it, it's probably valid enough
-    return true;
-  } catch (error) {
-    // Only reject if URL constructor completely fails to parse it
-    return false;
-  }
-}
-
-/**
- * Merge redirect URIs, creating a superset for production to prevent deletion
- * @param {Array} existingUris - Current redirect URIs
- * @param {Array} newUris - New redirect URIs to add
- * @param {boolean} isProduction - Whether this is for production environment
- * @returns {Object} - Object with merged URIs and validation info
- */
+    },
+    {
+      name: 'hello_manage_team',
+      description: 'Manage Hellō teams - list teams with roles and applications, read a team, create a team, and rename a team',
+      annotations: {
+        title: 'Manage Hellō team',
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: false,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          action: {
+            type: 'string',
+            enum: ['list', 'read', 'create', 'rename'],
+            description: 'Action to perform: list (all teams with roles and applications), read (one team with its applications), create (new named team), rename (change team name)'
+          },
+          team_id: {
+            type: 'string',
+            description: 'ID of the team (required for: read, rename)'
+          },
+          name: {
+            type: 'string',
+            description: 'Team name (required for: create, rename)'
+          }
+        },
+        required: ['action'],
+        allOf: [
+          {
+            if: {
+              properties: { action: { const: 'read' } }
+            },
+            then: {
+              required: ['action', 'team_id']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'create' } }
+            },
+            then: {
+              required: ['action', 'name']
+            }
+          },
+          {
+            if: {
+              properties: { action: { const: 'rename' } }
+            },
+            then: {
+              required: ['action', 'team_id', 'name']
+            }
+          }
+        ]
+      },
+      outputSchema: resultOutputSchema({
+        profile: APP_RESULT_OUTPUT_PROPERTIES.profile,
+        teams: { type: 'array', description: 'Teams with roles and applications, from list' },
+        team: { type: 'object', description: 'The team read, created or renamed' }
+      })
+    },
+    {
+      name: 'hello_sync_manifest',
+      description: 'Sync a Hellō application with a hello.app.json / hello.app.yaml manifest (config-as-code). Computes a plan against the live application and, with apply, creates or updates it so it matches the manifest. Re-applying an unchanged manifest makes no changes.',
+      annotations: {
+        title: 'Sync application manifest',
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          manifest_path: {
+            type: 'string',
+            description: 'Path to the manifest file, relative to the working directory (stdio transport only). Logo paths in the manifest are relative to this file.'
+          },
+          manifest: {
+            type: 'object',
+            description: 'Manifest contents inline, as an alternative to manifest_path. Fields: client_id, team_id, name, tos_uri, pp_uri, dev_localhost, dev_127_0_0_1, dev_wildcard, dev_redirect_uris, prod_redirect_uris, device_code, logos ({ light, dark } file paths, stdio only), environments ({ <name>: overrides })'
+          },
+          environment: {
+            type: 'string',
+            description: 'Name of an entry in the manifest environments section whose values override the top-level fields, e.g. "staging" or "production" (optional)'
+          },
+          apply: {
+            type: 'boolean',
+            description: 'Apply the plan. Defaults to false, which only returns the plan.'
+          },
+          force_logo_upload: {
+            type: 'boolean',
+            description: 'Upload manifest logos even when the live logo cannot be compared with the local file (optional, defaults to false)'
+          }
+        }
+      },
+      outputSchema: resultOutputSchema({
+        ...APP_RESULT_OUTPUT_PROPERTIES,
+        plan: { type: 'object', description: 'Operation, field changes and logo uploads needed to match the manifest' }
+      }, ['plan'])
+    },
+    {
+      name: 'hello_generate_login_button',
+      description: 'Generate ready-to-paste Hellō login button code for an application on a given stack (plain HTML, React SDK, Next.js SDK, Express, Fastify or WordPress). The client_id and redirect URI come from the application\'s configuration; scopes, hints and button style are chosen here because the application does not store them.',
+      annotations: {
+        title: 'Generate login button',
+        readOnlyHint: true,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'Application ID to generate the button for'
+          },
+          team_id: {
+            type: 'string',
+            description: 'Team ID that owns the application (optional, defaults to the current team)'
+          },
+          stack: {
+            type: 'string',
+            enum: LOGIN_STACKS,
+            description: 'Where the button goes: "html" (no SDK, ID token in the URL fragment), "react" (@hellocoop/react), "nextjs" (@hellocoop/nextjs), "express" (@hellocoop/express), "fastify" (@hellocoop/fastify) or "wordpress" (Hellō Login plugin)'
+          },
+          redirect_uri: {
+            type: 'string',
+            description: 'Redirect URI to use (optional, defaults to a registered redirect URI matching the stack, production first)'
+          },
+          scope: {
+            type: 'array',
+            items: { type: 'string', enum: LOGIN_SCOPES },
+            description: `Scopes to request (optional, defaults to ${JSON.stringify(DEFAULT_LOGIN_SCOPE)}). openid is always included.`
+          },
+          provider_hint: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Providers to show first, e.g. ["google", "github"], or to demote with a trailing "--", e.g. ["apple--"] (optional)'
+          },
+          domain_hint: {
+            type: 'string',
+            description: 'Account type or domain to suggest: "personal", "managed" or a domain such as "example.com" (optional)'
+          },
+          button_color: {
+            type: 'string',
+            enum: BUTTON_COLORS,
+            description: 'Button color (optional, defaults to "black")'
+          },
+          button_theme: {
+            type: 'string',
+            enum: BUTTON_THEMES,
+            description: 'How the button follows the page theme: "ignore-light" and "ignore-dark" fix it for a light or dark page, "aware-invert" inverts it in dark mode, "aware-static" keeps it the same with a border in dark mode (optional, defaults to "aware-invert")'
+          },
+          button_hover: {
+            type: 'string',
+            enum: BUTTON_HOVERS,
+            description: 'Hover effect (optional, defaults to "pop")'
+          }
+        },
+        required: ['client_id', 'stack']
+      },
+      outputSchema: resultOutputSchema({
+        ...APP_RESULT_OUTPUT_PROPERTIES,
+        login_config: { type: 'object', description: 'client_id, redirect URI, scopes, hints and button style used' },
+        snippet: { type: 'object', description: 'Packages to install, files to add and steps to follow' }
+      }, ['login_config', 'snippet'])
+    },
+    {
+      name: 'hello_inspect_token',
+      description: 'Decode a Hellō ID token or access token to debug why an application rejects it. Shows the header and claims, checks iss, aud, exp and nonce, and verifies the signature with a supplied JWKS or the Hellō issuer keys (cached after the first fetch).',
+      annotations: {
+        title: 'Inspect token',
+        readOnlyHint: true,
+        // Fetches the Hellō issuer keys to check signatures
+        openWorldHint: true
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          token: {
+            type: 'string',
+            description: 'The token as pasted - a compact JWT, optionally prefixed with "Bearer "'
+          },
+          client_id: {
+            type: 'string',
+            description: 'Application the ID token should be issued to - checked against aud (optional)'
+          },
+          nonce: {
+            type: 'string',
+            description: 'Nonce sent in the authorization request - checked against the nonce claim (optional)'
+          },
+          token_type: {
+            type: 'string',
+            enum: ['id_token', 'access_token'],
+            description: 'Kind of token (optional, detected from the claims - access tokens carry a scope claim)'
+          },
+          audience: {
+            type: 'string',
+            description: `Expected aud of an access token (optional, defaults to ${HELLO_AUDIENCE})`
+          },
+          jwks: {
+            type: ['object', 'string'],
+            description: 'JWKS ({ "keys": [...] }) to verify the signature with, as an object or JSON text (optional, defaults to the Hellō issuer keys for tokens Hellō issued)'
+          },
+          verify_signature: {
+            type: 'boolean',
+            description: 'Verify the signature (optional, defaults to true)'
+          }
+        },
+        required: ['token']
+      },
+      outputSchema: resultOutputSchema({
+        token: { type: 'object', description: 'Token type, header, claims and lifetime' },
+        checks: { type: 'object', description: 'Claim checks, each { passed, expected, actual } with an explanation when failed' },
+        signature: { type: 'object', description: 'Whether the signature verified, and with which key' },
+        mcp_access_token: { type: 'object', description: 'Whether this server accepts the access token' }
+      }, ['token', 'checks', 'signature'])
+    }
+  ];
+
+  // Tools that read or write the developer's workspace are only offered by the local server
+  if (options.transport === 'stdio') {
+    addLocalAppActions(tools.find(tool => tool.name === 'hello_manage_app'));
+    addLocalLogoSource(tools.find(tool => tool.name === 'hello_set_logo'));
+    tools.push(...getLocalToolDefinitions());
+  }
+
+  for (const tool of tools) {
+    if (tool.outputSchema.properties.profile) {
+      tool.inputSchema.properties.verbosity = VERBOSITY_PROPERTY;
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Get definitions for the focused app tools, each running one hello_manage_app action with a schema of its own
+ * @returns {Array} - Array of tool definitions
+ */
+function getFocusedAppToolDefinitions() {
+  return [
+    {
+      name: 'hello_get_profile',
+      description: 'Get the signed-in Hellō developer profile: the user, their teams, the current team and its applications',
+      annotations: {
+        title: 'Get Hellō profile',
+        readOnlyHint: true,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          team_id: {
+            type: 'string',
+            description: 'ID of the team to make current (optional - uses default team if not specified)'
+          }
+        }
+      },
+      outputSchema: resultOutputSchema({ profile: APP_RESULT_OUTPUT_PROPERTIES.profile }, ['profile'])
+    },
+    {
+      name: 'hello_read_app',
+      description: 'Read one Hellō application with its redirect URIs, logos and secret metadata',
+      annotations: {
+        title: 'Read Hellō application',
+        readOnlyHint: true,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'ID of the application to read'
+          },
+          team_id: TEAM_ID_PROPERTY
+        },
+        required: ['client_id']
+      },
+      outputSchema: resultOutputSchema(APP_RESULT_OUTPUT_PROPERTIES, ['application'])
+    },
+    {
+      name: 'hello_create_app',
+      description: 'Create a Hellō application. Every setting is optional - the name is generated from the user\'s name if omitted, and a team is created if the user has none.',
+      annotations: {
+        title: 'Create Hellō application',
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          team_id: TEAM_ID_PROPERTY,
+          ...APP_SETTINGS_PROPERTIES
+        }
+      },
+      outputSchema: resultOutputSchema(APP_RESULT_OUTPUT_PROPERTIES, ['application', 'console_url'])
+    },
+    {
+      name: 'hello_update_app',
+      description: 'Update settings of a Hellō application. Only the settings given are changed; production redirect URIs are only ever added.',
+      annotations: {
+        title: 'Update Hellō application',
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'ID of the application to update'
+          },
+          team_id: TEAM_ID_PROPERTY,
+          ...APP_SETTINGS_PROPERTIES,
+          dry_run: {
+            type: 'boolean',
+            description: 'Preview the change as a field-level diff without writing anything (optional, defaults to false)'
+          }
+        },
+        required: ['client_id']
+      },
+      outputSchema: resultOutputSchema({
+        ...APP_RESULT_OUTPUT_PROPERTIES,
+        diff: { type: 'object', description: 'Field-level changes, returned instead of writing when dry_run is set' }
+      }, ['application'])
+    },
+    {
+      name: 'hello_create_secret',
+      description: 'Create a client secret for a Hellō application. The secret is only shown in this response; existing secrets stay valid.',
+      annotations: {
+        title: 'Create client secret',
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'ID of the application to create a secret for'
+          },
+          team_id: TEAM_ID_PROPERTY
+        },
+        required: ['client_id']
+      },
+      outputSchema: resultOutputSchema({
+        ...APP_RESULT_OUTPUT_PROPERTIES,
+        client_secret: { type: 'string', description: 'The new secret - it cannot be read back later' }
+      }, ['console_url', 'client_secret'])
+    },
+    {
+      name: 'hello_set_logo',
+      description: 'Set the logo of a Hellō application for the light or dark theme, from base64 data or a URL, or set both logos together with light_logo and dark_logo',
+      annotations: {
+        title: 'Set application logo',
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+        openWorldHint: true
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'ID of the application whose logo to set'
+          },
+          team_id: TEAM_ID_PROPERTY,
+          theme: {
+            type: 'string',
+            enum: ['light', 'dark'],
+            description: 'Theme the logo is for (optional, defaults to "light"; not used with light_logo and dark_logo)'
+          },
+          logo_data: {
+            type: 'string',
+            description: `Base64 encoded logo, at most ${MAX_LOGO_SIZE_BYTES / 1024}KB decoded, with logo_content_type`
+          },
+          logo_content_type: {
+            type: 'string',
+            description: 'MIME type of logo_data, e.g. "image/png"'
+          },
+          logo_url: {
+            type: 'string',
+            description: 'URL of the logo image to fetch'
+          },
+          light_logo: {
+            ...LOGO_INPUT_SCHEMA,
+            description: 'Light theme logo as { logo_data, logo_content_type } or { logo_url }, set together with dark_logo (all or nothing)'
+          },
+          dark_logo: {
+            ...LOGO_INPUT_SCHEMA,
+            description: 'Dark theme logo, in the same form as light_logo'
+          },
+          preview_images: {
+            type: 'boolean',
+            description: 'Add the logos to the result, with an SVG preview on the light and dark login backgrounds - raster logos as MCP image content, SVG as an embedded resource (optional)'
+          },
+          dry_run: {
+            type: 'boolean',
+            description: 'Check the logo and preview the change without uploading it (optional, defaults to false)'
+          }
+        },
+        required: ['client_id']
+      },
+      outputSchema: resultOutputSchema({
+        ...APP_RESULT_OUTPUT_PROPERTIES,
+        upload_result: { type: 'object', description: 'Uploaded logo URL' },
+        diff: { type: 'object', description: 'Logo fields that would change, returned instead of uploading when dry_run is set' }
+      }, ['application'])
+    }
+  ];
+}
+
+/**
+ * Let hello_set_logo take a workspace file on the local (stdio) server
+ * @param {Object} tool - hello_set_logo tool definition
+ */
+function addLocalLogoSource(tool) {
+  tool.description += '. On the local server logo_file sets it from an image file in the workspace.';
+  tool.inputSchema.properties.logo_file = {
+    type: 'string',
+    description: 'Path of a PNG, JPEG, GIF, WebP or SVG logo file, relative to the workspace root'
+  };
+}
+
+/**
+ * Add the hello_manage_app actions that only run on the local (stdio) server
+ * @param {Object} tool - hello_manage_app tool definition
+ */
+function addLocalAppActions(tool) {
+  const { properties, allOf } = tool.inputSchema;
+
+  properties.action.enum.push('update_logo_from_file');
+  properties.action.description += ', update_logo_from_file (set logo from an image file in the workspace)';
+  properties.logo_file = {
+    type: 'string',
+    description: 'Path of a PNG, JPEG, GIF, WebP or SVG logo file, relative to the workspace root; theme and dry_run work as for update_logo_from_data (required for: update_logo_from_file)'
+  };
+  allOf.push({
+    if: {
+      properties: { action: { const: 'update_logo_from_file' } }
+    },
+    then: {
+      required: ['action', 'client_id', 'logo_file']
+    }
+  });
+}
+
+/**
+ * Get definitions for tools that only run on the local (stdio) server
+ * @returns {Array} - Array of tool definitions
+ */
+function getLocalToolDefinitions() {
+  return [
+    {
+      name: 'hello_write_env',
+      description: 'Write or merge Hellō settings into a .env / .env.local file in the current workspace: HELLO_CLIENT_ID, a generated HELLO_COOKIE_SECRET and optionally a new HELLO_CLIENT_SECRET. These are the variable names used by the Hellō Express, Fastify and Next.js quickstarts. Existing keys are kept unless overwrite is set. Only available when running locally (stdio).',
+      annotations: {
+        title: 'Write .env settings',
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: false,
+        openWorldHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'ID of the application whose settings to write'
+          },
+          team_id: {
+            type: 'string',
+            description: 'ID of the team that owns the application (optional - uses default team if not specified)'
+          },
+          file: {
+            type: 'string',
+            description: 'Env file to write, relative to the workspace (optional, defaults to ".env.local" for nextjs and ".env" otherwise)'
+          },
+          framework: {
+            type: 'string',
+            enum: ['express', 'fastify', 'nextjs'],
+            description: 'Framework the workspace uses, which picks the default file (optional)'
+          },
+          include_client_secret: {
+            type: 'boolean',
+            description: 'Create a new client secret with create_secret and write it as HELLO_CLIENT_SECRET (optional, defaults to false)'
+          },
+          overwrite: {
+            type: 'boolean',
+            description: 'Replace keys that already exist in the file (optional, defaults to false - existing keys are left untouched)'
+          }
+        },
+        required: ['client_id']
+      },
+      outputSchema: resultOutputSchema({
+        ...APP_RESULT_OUTPUT_PROPERTIES,
+        env_file: { type: 'object', description: 'File path and the keys written and skipped' }
+      }, ['env_file'])
+    },
+    {
+      name: 'hello_test_login',
+      description: 'Log in to a Hellō application end to end to check its redirect URI and settings work: opens the authorization URL in the browser, receives the callback on a local port, exchanges the code with PKCE and returns the decoded ID token claims with iss, aud, exp and nonce checks. Waits until the login completes or times out. Only available when running locally (stdio).',
+      annotations: {
+        title: 'Test login',
+        readOnlyHint: true,
+        openWorldHint: true
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          client_id: {
+            type: 'string',
+            description: 'ID of the application to log in to'
+          },
+          team_id: {
+            type: 'string',
+            description: 'ID of the team that owns the application (optional - uses default team if not specified)'
+          },
+          scope: {
+            type: 'array',
+            items: { type: 'string', enum: LOGIN_SCOPES },
+            description: `Scopes to request (optional, defaults to ${JSON.stringify(DEFAULT_LOGIN_SCOPE)}). openid is always included.`
+          },
+          provider_hint: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Providers to show first, e.g. ["google"], or to demote with a trailing "--" (optional)'
+          },
+          domain_hint: {
+            type: 'string',
+            description: 'Account type or domain to suggest: "personal", "managed" or a domain (optional)'
+          },
+          redirect_uri: {
+            type: 'string',
+            description: 'Loopback redirect URI to receive the callback on, e.g. a registered "http://localhost:3000/callback" - the port must be free (optional, defaults to /callback on a free localhost port, which needs dev_localhost)'
+          },
+          timeout_seconds: {
+            type: 'integer',
+            minimum: 10,
+            maximum: TEST_LOGIN_MAX_TIMEOUT_SECONDS,
+            description: `How long to wait for the login to complete (optional, defaults to ${TEST_LOGIN_DEFAULT_TIMEOUT_SECONDS})`
+          },
+          open_browser: {
+            type: 'boolean',
+            description: 'Open the authorization URL in the default browser (optional, defaults to true - when false the URL is written to the server log)'
+          }
+        },
+        required: ['client_id']
+      },
+      outputSchema: resultOutputSchema({
+        ...APP_RESULT_OUTPUT_PROPERTIES,
+        login: { type: 'object', description: 'Redirect URI, scopes, hints and authorization URL used' },
+        id_token: { type: 'object', description: 'Header and claims of the ID token received' },
+        checks: { type: 'object', description: 'ID token claim checks, each { passed, expected, actual }' }
+      })
+    }
+  ];
+}
+
+/**
+ * Get or create default team for a user
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {Promise<string>} - Team ID
+ */
+async function getOrCreateDefaultTeam(apiClient, profile) {
+  try {
+    // Check if user has existing teams (using transformed structure)
+    if (profile?.teams?.length > 0 && profile.teams[0].id) {
+      return profile.teams[0].id;
+    }
+    
+    // No teams exist, create a default one
+    const userName = profile.user?.name || 'My';
+    const defaultTeamName = `${userName} Team`;
+    
+    const newTeam = await apiClient.callAdminAPI('POST', '/api/v1/publishers', {
+      name: defaultTeamName
+    });
+    
+    return newTeam.profile.id;
+  } catch (error) {
+    throw new Error(`Failed to get or create default team: ${error.message}`);
+  }
+}
+
+/**
+ * Require the caller to echo the application name before a destructive action
+ * @param {Object} app - Current application object
+ * @param {string} confirmName - Name supplied by the caller
+ * @param {string} action - Action being confirmed
+ * @throws {Error} - JSON-RPC invalid params error if the name does not match
+ */
+function requireNameConfirmation(app, confirmName, action) {
+  if (confirmName === app.name) {
+    return;
+  }
+
+  const error = new Error(`Confirmation required for ${action} action`);
+  error.code = -32602; // Invalid params
+  error.data = {
+    error_type: 'confirmation_required',
+    client_id: app.id,
+    application_name: app.name,
+    received_confirm_name: confirmName ?? null,
+    message: `To ${action} this application, set confirm_name to its exact current name: "${app.name}".`
+  };
+  throw error;
+}
+
+/**
+ * Derive the confirmation token for removing production redirect URIs
+ * The token covers the app, the URIs to remove and the current URIs, so it goes stale if either changes
+ * @param {string} clientId - Application client ID
+ * @param {Array<string>} urisToRemove - Production redirect URIs to remove
+ * @param {Array<string>} currentUris - Current production redirect URIs
+ * @returns {string} - Confirmation token
+ */
+function prodRedirectRemovalToken(clientId, urisToRemove, currentUris) {
+  const material = [clientId, [...urisToRemove].sort().join(' '), [...currentUris].sort().join(' ')].join('\n');
+  return crypto.createHash('sha256').update(material).digest('hex').slice(0, 16);
+}
+
+/**
+ * Compute a field-level diff between the current and proposed application
+ * @param {Object} currentApp - Application as stored by the Admin API
+ * @param {Object} proposedApp - Application that would be written
+ * @returns {Object} - Changed flattened fields mapped to their old and new values
+ */
+function diffApplication(currentApp, proposedApp) {
+  const before = flattenApp(currentApp);
+  const after = flattenApp(proposedApp);
+  const diff = {};
+
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const oldValue = before[field] ?? null;
+    const newValue = after[field] ?? null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+
+    diff[field] = { old: oldValue, new: newValue };
+
+    // Spell out set changes for redirect URI lists
+    if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+      const oldItems = oldValue || [];
+      const newItems = newValue || [];
+      diff[field].added = newItems.filter(item => !oldItems.includes(item));
+      diff[field].removed = oldItems.filter(item => !newItems.includes(item));
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Get an application in a team, turning a 404 into a friendly invalid params error
+ * @param {Object} apiClient - Admin API client instance
+ * @param {string} teamId - Team ID
+ * @param {string} clientId - Application client ID
+ * @returns {Promise<Object>} - Current application
+ */
+async function getTeamApplication(apiClient, teamId, clientId) {
+  try {
+    return await apiClient.callAdminAPI('GET', `/api/v1/publishers/${teamId}/applications/${clientId}`);
+  } catch (error) {
+    if (error.message.includes('Resource not found')) {
+      const friendlyError = new Error(`Application not found: The client_id "${clientId}" does not exist or you don't have permission to access it.`);
+      friendlyError.code = -32602; // Invalid params
+      friendlyError.data = {
+        error_type: 'invalid_client_id',
+        client_id: clientId,
+        message: `The application with client_id "${clientId}" was not found. Please check that the client_id is correct and that you have permission to access this application.`
+      };
+      throw friendlyError;
+    }
+    throw error; // Re-throw other errors as-is
+  }
+}
+
+/**
+ * Prepare decoded logo data for upload
+ * SVG logos are sanitized first; the result is rejected if it does not match its content type, size limit or format
+ * @param {Buffer} buffer - Decoded logo data
+ * @param {string} declaredType - Content type given for the logo
+ * @returns {Object} - Data to upload and the logo's format, size, dimensions and sanitization report
+ */
+function prepareLogoImage(buffer, declaredType) {
+  let sanitization = null;
+  if (sniffImageType(buffer) === 'image/svg+xml') {
+    const { svg, ...report } = sanitizeSvg(buffer.toString('utf8'));
+    sanitization = report;
+
+    // Whatever the sanitizer could not take out keeps the logo from being uploaded at all
+    const active = findActiveSvgContent(svg);
+    if (active.length > 0) {
+      console.log(`❌ SVG still active after sanitizing: ${active.join(', ')}`);
+      const error = new Error(`Invalid logo: the SVG still contains active content after sanitizing (${active.join(', ')})`);
+      error.code = -32602; // Invalid params
+      error.data = {
+        error_type: 'invalid_logo',
+        errors: active.map(item => `SVG contains ${item}`),
+        message: 'Remove scripts, event handlers and imports from the SVG, or upload the logo as PNG.'
+      };
+      throw error;
+    }
+    if (report.modified) {
+      console.log(`🧹 SVG sanitized: ${report.removed.length} removed, ${report.normalized.length} normalized`);
+      buffer = Buffer.from(svg, 'utf8');
+    }
+  }
+
+  const inspection = inspectLogoImage(buffer, declaredType);
+  if (sanitization) {
+    inspection.logo.svg_sanitization = sanitization;
+    if (sanitization.removed.length > 0) {
+      inspection.warnings.push(`Removed ${sanitization.removed.length} unsafe item(s) from the SVG - it may render differently; see svg_sanitization`);
+    }
+  }
+
+  if (!inspection.valid) {
+    console.log(`❌ Logo validation failed: ${inspection.errors.join('; ')}`);
+    const error = new Error(`Invalid logo: ${inspection.errors.join('; ')}`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_logo',
+      errors: inspection.errors,
+      logo: inspection.logo,
+      message: `The logo was rejected: ${inspection.errors.join('; ')}. Read the supported logo formats resource for the limits.`
+    };
+    throw error;
+  }
+
+  return {
+    buffer,
+    logo: inspection.warnings.length > 0 ? { ...inspection.logo, warnings: inspection.warnings } : inspection.logo
+  };
+}
+
+/**
+ * Build the dry run response for a logo action
+ * @param {Object} options - Action, profile, current app, theme and inspected logo
+ * @returns {Object} - Tool result with a diff and no upload
+ */
+function buildLogoDryRunResult({ action, profile, clientId, currentApp, logoTheme, logo }) {
+  const logoField = logoTheme === 'light' ? 'image_uri' : 'dark_image_uri';
+
+  return {
+    profile,
+    application: flattenApp(currentApp),
+    console_url: generateConsoleUrl(clientId, profile),
+    diff: {
+      [logoField]: {
+        old: currentApp[logoField] ?? null,
+        new: null,
+        pending_upload: {
+          content_type: logo.content_type,
+          size_bytes: logo.size_bytes
+        }
+      }
+    },
+    action_result: {
+      action,
+      success: true,
+      dry_run: true,
+      message: `Dry run - ${logoField} would be set to the uploaded logo URL for ${logoTheme} theme; nothing was uploaded or written`,
+      theme: logoTheme,
+      logo
+    }
+  };
+}
+
+/**
+ * Fetch a logo image from a URL
+ * The fetch is limited to public http(s) hosts, a few redirects and MAX_LOGO_SIZE_BYTES; the image
+ * format is decided by the fetched bytes, so the server's content type only has to agree with them
+ * @param {string} logoUrl - Logo URL
+ * @returns {Promise<Object>} - Fetched data and the content type the server reported
+ */
+async function fetchLogoFromUrl(logoUrl) {
+  const { body, contentType } = await fetchPublicUrl(logoUrl, { maxBytes: MAX_LOGO_SIZE_BYTES });
+
+  // Generic binary types are common for hosted files; anything else that is not an image is refused
+  const reportedType = contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+  if (reportedType && !reportedType.startsWith('image/') && reportedType !== 'application/octet-stream' && reportedType !== 'binary/octet-stream') {
+    const error = new Error(`Invalid content type from URL: ${contentType}. Expected an image.`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_logo',
+      errors: [`The URL returned ${reportedType}, not an image`],
+      message: error.message
+    };
+    throw error;
+  }
+
+  return { buffer: body, contentType: reportedType?.startsWith('image/') ? contentType : null };
+}
+
+/**
+ * Read a logo file from the client's workspace (stdio only)
+ * @param {string} logoFile - Path relative to a workspace root
+ * @param {Object} context - Call context with getWorkspaceRoots
+ * @returns {Promise<Object>} - File data, content type from the extension and resolved path
+ */
+async function readWorkspaceLogo(logoFile, context) {
+  // Only files inside the client's workspace roots may be read
+  const workspaceRoots = context.getWorkspaceRoots ? await context.getWorkspaceRoots() : [process.cwd()];
+  const logoPath = resolveWorkspaceFile(logoFile, workspaceRoots);
+  if (!logoPath.valid) {
+    const error = new Error(logoPath.error);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_path',
+      file: logoFile,
+      workspace_roots: workspaceRoots,
+      message: logoPath.error
+    };
+    throw error;
+  }
+
+  const contentType = detectMimeType('', logoPath.path);
+  const mimeValidation = validateMimeType(contentType);
+  if (!mimeValidation.valid) {
+    throw new Error(mimeValidation.error);
+  }
+
+  return { buffer: fs.readFileSync(logoPath.path), contentType, path: logoPath.path };
+}
+
+/**
+ * Load and validate one logo given as data, a URL or a workspace file
+ * @param {Object} input - { logo_data, logo_content_type } | { logo_url } | { logo_file }
+ * @param {string} logoTheme - 'light' or 'dark', for error messages
+ * @param {Object} context - Call context
+ * @returns {Promise<Object>} - Prepared logo data, its details and a description of the source
+ */
+async function loadLogoInput(input, logoTheme, context) {
+  const sources = ['logo_data', 'logo_url', 'logo_file'].filter(key => input?.[key]);
+  if (sources.length !== 1) {
+    const error = new Error(`The ${logoTheme} logo needs exactly one of logo_data, logo_url or logo_file`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_logo_input',
+      theme: logoTheme,
+      received: sources,
+      message: `Set ${logoTheme}_logo to { logo_data, logo_content_type }, { logo_url } or, on the local server, { logo_file }.`
+    };
+    throw error;
+  }
+
+  if (input.logo_data) {
+    const mimeValidation = validateMimeType(input.logo_content_type);
+    if (!mimeValidation.valid) {
+      throw new Error(`${logoTheme} logo: ${mimeValidation.error}`);
+    }
+    const prepared = prepareLogoImage(Buffer.from(extractBase64FromDataUrl(input.logo_data), 'base64'), input.logo_content_type);
+    return { ...prepared, source: 'data' };
+  }
+
+  if (input.logo_url) {
+    const fetched = await fetchLogoFromUrl(input.logo_url);
+    return { ...prepareLogoImage(fetched.buffer, fetched.contentType), source: input.logo_url };
+  }
+
+  const logoFile = await readWorkspaceLogo(input.logo_file, context);
+  return { ...prepareLogoImage(logoFile.buffer, logoFile.contentType), source: logoFile.path };
+}
+
+/**
+ * Name an uploaded logo for the upload result
+ * @param {string} contentType - Logo content type
+ * @returns {string} - File name, e.g. logo_1700000000000.png
+ */
+function generateLogoFilename(contentType) {
+  const extension = contentType === 'image/svg+xml' ? 'svg' :
+                    contentType === 'image/jpeg' ? 'jpg' : 'png';
+  return `logo_${Date.now()}.${extension}`;
+}
+
+/**
+ * Upload a prepared logo and point the application's light or dark logo at it
+ * @param {Object} options - Action, profile, team, application, theme, prepared logo, a description of its source and whether to add preview images
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {Promise<Object>} - Tool result, or the dry run preview when dryRun is set
+ */
+async function applyLogoUpload({ action, profile, teamId, clientId, logoTheme, logoBuffer, logoInfo, source, dryRun, previewImages }, apiClient) {
+  // Check the application before uploading, so a bad client_id does not leave an orphaned logo
+  const currentApp = await getTeamApplication(apiClient, teamId, clientId);
+
+  const preview = { [logoTheme]: { buffer: logoBuffer, logo: logoInfo } };
+
+  if (dryRun) {
+    const result = buildLogoDryRunResult({ action, profile, clientId, currentApp, logoTheme, logo: logoInfo });
+    return previewImages ? attachLogoPreview(result, preview) : result;
+  }
+
+  const uploadResult = await uploadLogoBinary(teamId, clientId, logoBuffer.toString('base64'), logoInfo.content_type, apiClient);
+  const updatedApp = await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${teamId}/applications/${clientId}`, {
+    ...currentApp,
+    [logoTheme === 'light' ? 'image_uri' : 'dark_image_uri']: uploadResult.image_uri
+  });
+
+  const result = {
+    profile,
+    application: flattenApp(updatedApp),
+    console_url: generateConsoleUrl(clientId, profile),
+    upload_result: uploadResult,
+    action_result: {
+      action,
+      success: true,
+      message: `Logo updated successfully from ${source} for ${logoTheme} theme`,
+      logo_url: uploadResult.image_uri,
+      theme: logoTheme,
+      logo: logoInfo
+    }
+  };
+  return previewImages ? attachLogoPreview(result, preview) : result;
+}
+
+/**
+ * Upload prepared light and dark logos and set both on the application in one update
+ * If the update fails, the previous logos are put back when the update was partly applied
+ * @param {Object} options - Action, profile, team, application and its current state, prepared logos, their details and whether to add preview images
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {Promise<Object>} - Tool result, or the dry run preview when dryRun is set
+ */
+async function applyLogoPair({ action, profile, teamId, clientId, currentApp, logos, logoDetails, dryRun, previewImages }, apiClient) {
+  const previous = {
+    image_uri: currentApp.image_uri ?? null,
+    dark_image_uri: currentApp.dark_image_uri ?? null
+  };
+
+  if (dryRun) {
+    const result = {
+      profile,
+      application: flattenApp(currentApp),
+      console_url: generateConsoleUrl(clientId, profile),
+      diff: {
+        image_uri: { old: previous.image_uri, new: null, pending_upload: { content_type: logos.light.logo.content_type, size_bytes: logos.light.logo.size_bytes } },
+        dark_image_uri: { old: previous.dark_image_uri, new: null, pending_upload: { content_type: logos.dark.logo.content_type, size_bytes: logos.dark.logo.size_bytes } }
+      },
+      action_result: {
+        action,
+        success: true,
+        dry_run: true,
+        message: 'Dry run - image_uri and dark_image_uri would be set to the uploaded logo URLs; nothing was uploaded or written',
+        logos: logoDetails
+      }
+    };
+    return previewImages ? attachLogoPreview(result, logos) : result;
+  }
+
+  // Uploads do not change the application, so a failed upload leaves it untouched
+  const lightUpload = await uploadLogoBinary(teamId, clientId, logos.light.buffer.toString('base64'), logos.light.logo.content_type, apiClient);
+  const darkUpload = await uploadLogoBinary(teamId, clientId, logos.dark.buffer.toString('base64'), logos.dark.logo.content_type, apiClient);
+
+  let updatedApp;
+  try {
+    updatedApp = await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${teamId}/applications/${clientId}`, {
+      ...currentApp,
+      image_uri: lightUpload.image_uri,
+      dark_image_uri: darkUpload.image_uri
+    });
+  } catch (putError) {
+    // The PUT may have been applied before failing, so put back the previous logos if they changed
+    let rollback = 'not_needed';
+    try {
+      const afterApp = await getTeamApplication(apiClient, teamId, clientId);
+      if ((afterApp.image_uri ?? null) !== previous.image_uri || (afterApp.dark_image_uri ?? null) !== previous.dark_image_uri) {
+        await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${teamId}/applications/${clientId}`, { ...afterApp, ...previous });
+        rollback = 'restored';
+      }
+    } catch (rollbackError) {
+      console.error('❌ Logo rollback failed:', rollbackError.message);
+      rollback = 'failed';
+    }
+
+    const error = new Error(`Failed to set both logos: ${putError.message}`);
+    error.code = -32603; // Internal error
+    error.data = {
+      error_type: 'logo_update_failed',
+      client_id: clientId,
+      rollback,
+      previous_logos: previous,
+      message: rollback === 'failed'
+        ? `Setting both logos failed and the previous logos could not be restored - check image_uri and dark_image_uri: ${putError.message}`
+        : `Setting both logos failed and the application keeps its previous logos: ${putError.message}`
+    };
+    throw error;
+  }
+
+  const result = {
+    profile,
+    application: flattenApp(updatedApp),
+    console_url: generateConsoleUrl(clientId, profile),
+    upload_result: { light: lightUpload, dark: darkUpload },
+    action_result: {
+      action,
+      success: true,
+      message: 'Light and dark logos updated successfully',
+      logo_urls: { light: lightUpload.image_uri, dark: darkUpload.image_uri },
+      logos: logoDetails
+    }
+  };
+  return previewImages ? attachLogoPreview(result, logos) : result;
+}
+
+/**
+ * Build the MCP content block for a preview image
+ * Hosts only accept PNG, JPEG, GIF and WebP image content, so an SVG is embedded as a resource with its text
+ * @param {string} name - Name for the resource URI of an SVG
+ * @param {string} contentType - Image content type
+ * @param {Buffer} buffer - Image data
+ * @returns {Object} - MCP image or resource content block
+ */
+function previewContentBlock(name, contentType, buffer) {
+  if (contentType === 'image/svg+xml') {
+    return { type: 'resource', resource: { uri: `hello-logo-preview:///${name}.svg`, mimeType: contentType, text: buffer.toString('utf8') } };
+  }
+  // An animated PNG is still a PNG to hosts that only show its first frame
+  return { type: 'image', data: buffer.toString('base64'), mimeType: contentType === 'image/apng' ? 'image/png' : contentType };
+}
+
+/**
+ * Add MCP content showing the logos, and how they sit on the light and dark login backgrounds, to a result
+ * @param {Object} result - Tool result
+ * @param {Object} logos - { light, dark }, each a prepared logo { buffer, logo }; either may be omitted
+ * @returns {Object} - The same result
+ */
+function attachLogoPreview(result, logos) {
+  const images = {};
+  const content = [];
+  for (const theme of ['light', 'dark']) {
+    if (!logos[theme]) continue;
+    const { buffer, logo } = logos[theme];
+    images[theme] = { content_type: logo.content_type, base64: buffer.toString('base64') };
+    content.push(
+      { type: 'text', text: `${theme === 'light' ? 'Light' : 'Dark'} theme logo (${logo.content_type}, ${logo.width}×${logo.height})` },
+      previewContentBlock(theme, logo.content_type, buffer)
+    );
+  }
+
+  content.push(
+    { type: 'text', text: `Logo preview on the light (${THEME_BACKGROUNDS.light}) and dark (${THEME_BACKGROUNDS.dark}) login backgrounds - the dashed box is the 400×100 logo area` },
+    previewContentBlock('backgrounds', 'image/svg+xml', Buffer.from(renderLogoComposite(images), 'utf8'))
+  );
+
+  result[LOGO_PREVIEW_CONTENT] = content;
+  return result;
+}
+
+/**
+ * Describe a generated logo so it can be shown before or after upload
+ * @param {Buffer} buffer - SVG data as uploaded
+ * @param {Object} variant - Generated variant with its color, background and contrast
+ * @returns {Object} - SVG text, data URL and colors
+ */
+function buildLogoPreview(buffer, variant) {
+  return {
+    svg: buffer.toString('utf8'),
+    data_url: `data:image/svg+xml;base64,${buffer.toString('base64')}`,
+    color: variant.color,
+    background: variant.background,
+    contrast: variant.contrast
+  };
+}
+
+/**
+ * Generate a client secret with the hash and salt stored by the Admin API
+ * @returns {Object} - Raw secret with its hash and salt
+ */
+function generateClientSecret() {
+  const salt = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('hex');
+  const hash = crypto.createHash('sha256').update(secret + salt).digest('hex');
+  return { secret, hash, salt };
+}
+
+/**
+ * Reduce a stored client secret to metadata that is safe to return
+ * @param {Object} storedSecret - Secret record from the Admin API
+ * @returns {Object} - Secret ID, hash prefix and creation time
+ */
+function summarizeSecret(storedSecret) {
+  return {
+    id: storedSecret.id,
+    hash_prefix: storedSecret.hash ? storedSecret.hash.slice(0, 8) : null,
+    created_at: storedSecret.created_at || null
+  };
+}
+
+/**
+ * Validate a redirect URI
+ * @param {string} uri - The URI to validate
+ * @param {boolean} isProduction - Whether this is for production environment
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateRedirectUri(uri, isProduction = false) {
+  if (!uri || typeof uri !== 'string' || uri.trim() === '') {
+    return false;
+  }
+  
+  try {
+    const url = new URL(uri);
+    
+    // For production, only reject known insecure schemes
+    if (isProduction) {
+      // Only reject clearly problematic schemes for security
+      const rejectedSchemes = ['http:', 'ftp:', 'file:', 'data:', 'javascript:'];
+      if (rejectedSchemes.includes(url.protocol)) {
+        return false;
+      }
+      // Accept https and any other custom scheme that URL constructor can parse
+    }
+    
+    // If URL constructor can parse it, it's probably valid enough
+    return true;
+  } catch (error) {
+    // Only reject if URL constructor completely fails to parse it
+    return false;
+  }
+}
+
+/**
+ * Lint the redirect URIs about to be written, blocking the write in strict mode
+ * @param {Object} web - Web configuration that will be written
+ * @param {Object} devUriResult - Development URI merge result, including rejected URIs
+ * @param {Object} prodUriResult - Production URI merge result, including rejected URIs
+ * @param {boolean} strict - Throw when the linter reports errors for URIs this call adds
+ * @param {Object} [currentWeb] - Web configuration already registered; in strict mode, errors on its URIs are reported as warnings
+ * @returns {Object|null} - Lint errors and warnings, or null when there are none
+ */
+function checkRedirectUris(web, devUriResult, prodUriResult, strict, currentWeb = null) {
+  const lint = lintRedirectUris({
+    devUris: [...web.dev.redirect_uris, ...devUriResult.rejected],
+    prodUris: [...web.prod.redirect_uris, ...prodUriResult.rejected],
+    devLocalhost: web.dev.localhost,
+    dev127: web.dev["127.0.0.1"]
+  });
+
+  if (strict) {
+    // Only the URIs this call adds can block it - existing ones were already accepted
+    const existingUris = {
+      dev: new Set(currentWeb?.dev?.redirect_uris || []),
+      prod: new Set(currentWeb?.prod?.redirect_uris || [])
+    };
+    const isExisting = item => existingUris[item.environment].has(item.uri);
+    lint.warnings.push(...lint.errors.filter(isExisting).map(item => ({ ...item, severity: 'warning' })));
+    lint.errors = lint.errors.filter(item => !isExisting(item));
+  }
+
+  if (strict && lint.errors.length > 0) {
+    const error = new Error(`Redirect URI check failed with ${lint.errors.length} error(s)`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'redirect_uri_lint_failed',
+      errors: lint.errors,
+      warnings: lint.warnings,
+      message: `Nothing was written because strict_redirect_uris is set: ${lint.errors.map(item => `${item.uri} - ${item.message}`).join('; ')}`
+    };
+    throw error;
+  }
+
+  return lint.errors.length > 0 || lint.warnings.length > 0 ? lint : null;
+}
+
+/**
+ * Merge redirect URIs, creating a superset for production to prevent deletion
+ * @param {Array} existingUris - Current redirect URIs
+ * @param {Array} newUris - New redirect URIs to add
+ * @param {boolean} isProduction - Whether this is for production environment
+ * @returns {Object} - Object with merged URIs and validation info
+ */
 function mergeRedirectUris(existingUris = [], newUris = [], isProduction = false) {
   const validNewUris = [];
   const rejectedUris = [];
   
-  // Validate all new URIs and separate valid from invalid
-  newUris.forEach(uri => {
-    const isValid = validateRedirectUri(uri, isProduction);
-    if (isValid) {
-      validNewUris.push(uri);
-    } else {
-      rejectedUris.push(uri);
-      console.warn(`Invalid redirect URI rejected: ${uri} (production: ${isProduction})`);
+  // Validate all new URIs and separate valid from invalid
+  newUris.forEach(uri => {
+    const isValid = validateRedirectUri(uri, isProduction);
+    if (isValid) {
+      validNewUris.push(uri);
+    } else {
+      rejectedUris.push(uri);
+      console.warn(`Invalid redirect URI rejected: ${uri} (production: ${isProduction})`);
+    }
+  });
+  
+  let finalUris;
+  if (isProduction) {
+    // For production, create superset - never remove existing URIs
+    const existingSet = new Set(existingUris || []);
+    validNewUris.forEach(uri => existingSet.add(uri));
+    finalUris = Array.from(existingSet);
+  } else {
+    // For development, allow replacement
+    finalUris = validNewUris;
+  }
+  
+  return {
+    uris: finalUris,
+    rejected: rejectedUris
+  };
+}
+
+/**
+ * Get user profile with team context
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {Promise<Object>} - Profile data with team terminology
+ */
+async function getProfileWithTeamContext(apiClient, teamId = null) {
+  try {
+    if (teamId) {
+      // When team_id is provided, get specific publisher data
+      const publisherResponse = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${teamId}`);
+      
+      return {
+        user: { 
+          id: publisherResponse.profile.id, 
+          name: publisherResponse.profile.name 
+        },
+        defaultTeam: {
+          id: publisherResponse.profile.id,
+          name: publisherResponse.profile.name,
+          role: publisherResponse.role || 'admin'
+        },
+        teams: [{
+          id: publisherResponse.profile.id,
+          name: publisherResponse.profile.name,
+          role: publisherResponse.role || 'admin',
+          applications: publisherResponse.applications || []
+        }],
+        applications: publisherResponse.applications || []
+      };
+    } else {
+      // Default behavior - get profile with default team
+      const profileResponse = await apiClient.callAdminAPI('GET', '/api/v1/profile');
+      
+      return {
+        user: profileResponse.profile,
+        defaultTeam: profileResponse.currentPublisher?.profile ? {
+          id: profileResponse.currentPublisher.profile.id,
+          name: profileResponse.currentPublisher.profile.name,
+          role: 'admin'
+        } : null,
+        teams: profileResponse.publishers?.map(pub => ({
+          id: pub.id,
+          name: pub.name,
+          role: pub.role,
+          applications: [] // Publishers don't include applications in list
+        })) || [],
+        applications: profileResponse.currentPublisher?.applications || []
+      };
+    }
+  } catch (error) {
+    // Return minimal profile on error
+    return {
+      user: null,
+      defaultTeam: null,
+      teams: [],
+      applications: [],
+      error: `Unable to fetch profile: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Export one application, or every application in a team, as a portable definition
+ * @param {Object} options - Profile, team ID, optional client ID and output format
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {Promise<Object>} - Tool result with the exported document
+ */
+async function exportApplications({ profile, teamId, clientId, format }, apiClient) {
+  const supportedFormats = ['json', 'yaml', 'env'];
+  if (!supportedFormats.includes(format)) {
+    const error = new Error(`Invalid format parameter: "${format}"`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      received_format: format,
+      supported_formats: supportedFormats,
+      message: `The format "${format}" is not supported for export. Please use one of the supported formats.`
+    };
+    throw error;
+  }
+
+  if (!teamId) {
+    const error = new Error('No team to export from');
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'team_required',
+      message: 'You have no default team. Pass team_id to choose the team to export.'
+    };
+    throw error;
+  }
+
+  let document;
+  let filename;
+  let applicationCount;
+
+  if (clientId) {
+    const app = await getTeamApplication(apiClient, teamId, clientId);
+    applicationCount = 1;
+
+    if (format === 'env') {
+      document = `${applicationToEnvLines(app).join('\n')}\n`;
+      filename = '.env';
+    } else {
+      document = serializeManifest(applicationToManifest(app, teamId), format);
+      filename = `hello.app.${format}`;
+    }
+  } else {
+    const team = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${teamId}`);
+    const applications = team.applications || [];
+    applicationCount = applications.length;
+
+    if (format === 'env') {
+      // Prefix each app's variables so several apps can share one file
+      const blocks = applications.map(app => applicationToEnvLines(app, envPrefixForName(app.name)).join('\n'));
+      document = `# Hellō team: ${team.profile.name} (${team.profile.id})\n\n${blocks.join('\n\n')}\n`;
+      filename = `hello.team-${teamId}.env`;
+    } else {
+      document = serializeManifest({
+        team_id: team.profile.id,
+        team_name: team.profile.name,
+        exported_at: new Date().toISOString(),
+        applications: applications.map(app => applicationToManifest(app, teamId))
+      }, format);
+      filename = `hello.team-${teamId}.${format}`;
+    }
+  }
+
+  return {
+    profile,
+    export: {
+      format,
+      filename,
+      content: document
+    },
+    action_result: {
+      action: 'export',
+      success: true,
+      application_count: applicationCount,
+      message: clientId
+        ? `Application exported as ${format}`
+        : `${applicationCount} application(s) in team ${teamId} exported as ${format}`
+    }
+  };
+}
+
+/**
+ * Identify the caller for logo upload sessions by user rather than token, so a token refresh keeps the session
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {string|null} - sub of the validated token payload, or of the access token itself on the local server
+ */
+function uploadOwnerId(apiClient) {
+  const { authManager } = apiClient;
+  return authManager.getJWTPayload()?.sub || decodeToken(authManager.getAccessToken() || '')?.payload.sub || null;
+}
+
+/**
+ * Handle the consolidated app management tool
+ * @param {Object} args - Tool arguments
+ * @param {Object} apiClient - Admin API client instance
+ * @param {Object} context - Call context, e.g. { transport: 'stdio', getWorkspaceRoots }
+ * @returns {Promise<Object>} - Tool execution result with profile data
+ */
+async function handleManageApp(args, apiClient, context = {}) {
+  console.log('🔧 handleManageApp called with args:', JSON.stringify(args, null, 2));
+  const { action, client_id, team_id, name, tos_uri, pp_uri, image_uri, dev_localhost, dev_127_0_0_1, dev_wildcard, dev_redirect_uris, prod_redirect_uris, device_code, logo_data, logo_content_type, logo_url, logo_file, light_logo, dark_logo, preview_images, logo_style, logo_text, logo_color, logo_dark_color, upload_session_id, chunk_index, chunk_data, chunk_checksum, upload_checksum, theme, secret_id, grace_period_seconds, confirm_name, confirm_token, dry_run, format, strict_redirect_uris } = args;
+  console.log(`🔧 Extracted action: "${action}"`);
+  
+  // FIRST: Validate action parameter before doing any API calls
+  const validActions = ['create', 'read', 'update', 'create_secret', 'list_secrets', 'revoke_secret', 'rotate_secret', 'update_logo_from_data', 'update_logo_from_url', 'update_logo_from_file', 'update_logos', 'generate_logo', 'check_logo', 'begin_logo_upload', 'append_logo_chunk', 'commit_logo_upload', 'archive', 'unarchive', 'delete', 'export', 'remove_prod_redirect_uris'];
+  if (!validActions.includes(action)) {
+    console.log(`❌ Unknown action received: "${action}"`);
+    console.log(`   Supported actions: ${validActions.join(', ')}`);
+    
+    // Create a proper JSON-RPC error for invalid parameters
+    const error = new Error(`Invalid action parameter: "${action}"`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      received_action: action,
+      supported_actions: validActions,
+      message: `The action "${action}" is not supported. Please use one of the supported actions.`
+    };
+    throw error;
+  }
+  
+  // Local file access is refused before any API calls, like an unknown action
+  const readsLocalFiles = action === 'update_logo_from_file' || (['update_logos', 'check_logo'].includes(action) && [light_logo, dark_logo].some(input => input?.logo_file));
+  if (readsLocalFiles && context.transport !== 'stdio') {
+    const error = new Error(`Logo files are only supported with the stdio transport (${action})`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'unsupported_transport',
+      message: 'This server cannot read files on your machine. Use update_logo_from_data with base64 data or update_logo_from_url instead.'
+    };
+    throw error;
+  }
+
+  // Chunks only touch the in-memory upload session, so they skip the profile lookup
+  if (action === 'append_logo_chunk') {
+    sendPlausibleEvent('/tools/call/hello_manage_app/append_logo_chunk');
+    if (!upload_session_id || chunk_index === undefined || !chunk_data) {
+      throw new Error('upload_session_id, chunk_index and chunk_data are required for append_logo_chunk action');
+    }
+
+    const uploadSession = appendLogoChunk({
+      ownerId: uploadOwnerId(apiClient),
+      sessionId: upload_session_id,
+      index: chunk_index,
+      data: chunk_data,
+      checksum: chunk_checksum
+    });
+
+    return {
+      upload_session: uploadSession,
+      action_result: {
+        action: 'append_logo_chunk',
+        success: true,
+        message: uploadSession.duplicate
+          ? `Chunk ${chunk_index} was already received`
+          : `Chunk ${chunk_index} received - send chunk ${uploadSession.next_chunk_index} or call commit_logo_upload`
+      }
+    };
+  }
+
+  // Get current profile, team, and application data 
+  const profile = await getProfileWithTeamContext(apiClient, team_id);
+
+  // Handle read action separately - no need to create teams
+  if (action === 'read') {
+    sendPlausibleEvent('/tools/call/hello_manage_app/read');
+    // If no client_id provided, return profile only
+    if (!client_id) {
+      return {
+        profile,
+        action_result: {
+          action: 'read',
+          success: true,
+          message: 'Profile retrieved successfully'
+        }
+      };
+    }
+    
+    // If client_id provided, look for it in current publisher's applications first
+    let app = profile.applications.find(app => app.id === client_id);
+    
+    // If not found in current publisher, try to fetch directly via Admin API
+    if (!app) {
+      try {
+        app = await apiClient.callAdminAPI('GET', `/api/v1/applications/${client_id}`);
+        // Add team context if we found the app via direct lookup
+        if (app) {
+          app.teamId = app.publisher;
+          // We don't have team name from direct lookup, so leave it undefined
+        }
+      } catch (error) {
+        throw new Error(`Application with client_id ${client_id} not found`);
+      }
+    }
+    
+    return {
+      profile,
+      application: flattenApp(app),
+      console_url: generateConsoleUrl(client_id, profile),
+      action_result: {
+        action: 'read',
+        success: true,
+        message: 'Application retrieved successfully'
+      }
+    };
+  }
+
+  // Handle export separately - it is read-only, so it must not create a default team
+  if (action === 'export') {
+    sendPlausibleEvent('/tools/call/hello_manage_app/export');
+    return await exportApplications({ profile, teamId: team_id || profile.defaultTeam?.id, clientId: client_id, format: format || 'json' }, apiClient);
+  }
+
+  // Listing secrets is read-only too, so it looks up the team without creating one
+  if (action === 'list_secrets') {
+    sendPlausibleEvent('/tools/call/hello_manage_app/list_secrets');
+    if (!client_id) throw new Error('Client ID is required for list_secrets action');
+    const teamId = team_id || profile.defaultTeam?.id;
+    if (!teamId) throw new Error(`Application with client_id ${client_id} not found`);
+
+    const secretsResult = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${teamId}/applications/${client_id}/secrets`);
+    const secrets = (secretsResult.secrets || []).map(summarizeSecret);
+
+    return {
+      profile,
+      secrets,
+      console_url: generateConsoleUrl(client_id, profile),
+      action_result: {
+        action: 'list_secrets',
+        success: true,
+        message: `Found ${secrets.length} client secret(s)`
+      }
+    };
+  }
+
+  // Checking logos is read-only too, so it looks up the team without creating one, and only for a client_id
+  if (action === 'check_logo') {
+    sendPlausibleEvent('/tools/call/hello_manage_app/check_logo');
+
+    // Without logos to check, check the ones the application uses now
+    let currentApp = null;
+    let inputs = { light: light_logo, dark: dark_logo };
+    if (!light_logo && !dark_logo) {
+      if (!client_id) {
+        throw new Error('light_logo, dark_logo or client_id is required for check_logo action');
+      }
+      const teamId = team_id || profile.defaultTeam?.id;
+      if (!teamId) throw new Error(`Application with client_id ${client_id} not found`);
+      currentApp = await getTeamApplication(apiClient, teamId, client_id);
+      inputs = {
+        light: currentApp.image_uri ? { logo_url: currentApp.image_uri } : null,
+        dark: currentApp.dark_image_uri ? { logo_url: currentApp.dark_image_uri } : null
+      };
+      if (!inputs.light && !inputs.dark) {
+        const error = new Error(`Application ${client_id} has no logo to check`);
+        error.code = -32602; // Invalid params
+        error.data = {
+          error_type: 'no_logo',
+          client_id,
+          message: `Application ${client_id} has no logo to check - pass light_logo or dark_logo, or set one with generate_logo or update_logos`
+        };
+        throw error;
+      }
+    }
+
+    const logos = {};
+    for (const logoTheme of ['light', 'dark']) {
+      if (inputs[logoTheme]) {
+        logos[logoTheme] = await loadLogoInput(inputs[logoTheme], logoTheme, context);
+      }
+    }
+    const check = checkLogos(logos);
+
+    const result = {
+      profile,
+      ...(currentApp && { application: flattenApp(currentApp) }),
+      logo_check: check.logos,
+      action_result: {
+        action: 'check_logo',
+        success: true,
+        passed: check.passed,
+        message: (check.passed === null
+          ? 'No contrast problems were found, but the colors of some logos could not be read'
+          : check.passed ? 'The logos have enough contrast on the backgrounds they are shown on' : 'Some logos do not have enough contrast') +
+          (check.warnings.length > 0 ? ` - see the ${check.warnings.length} warning${check.warnings.length === 1 ? '' : 's'}` : ''),
+        warnings: check.warnings
+      }
+    };
+    return preview_images ? attachLogoPreview(result, logos) : result;
+  }
+
+  // For all other actions, get team ID (use provided or create default)
+  const resolvedTeamId = team_id || await getOrCreateDefaultTeam(apiClient, profile);
+  
+  console.log(`🔧 Entering switch statement with action: "${action}"`);
+  switch (action) {
+    case 'create': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/create');
+      // Generate name from existing profile if not provided
+      let appName = name;
+      if (!appName) {
+        const userName = profile.user?.name || 'User';
+        appName = `${userName}'s App`;
+      }
+      
+      // Validate and prepare redirect URIs
+      const devUriResult = mergeRedirectUris([], dev_redirect_uris || [], false);
+      const prodUriResult = mergeRedirectUris([], prod_redirect_uris || [], true);
+
+      const appData = {
+        name: appName,
+          tos_uri: tos_uri || null,
+          pp_uri: pp_uri || null,
+          image_uri: image_uri || null,
+          web: {
+            dev: {
+              localhost: dev_localhost !== undefined ? dev_localhost : true,
+              "127.0.0.1": dev_127_0_0_1 !== undefined ? dev_127_0_0_1 : true,
+              wildcard_domain: dev_wildcard !== undefined ? dev_wildcard : false,
+              redirect_uris: devUriResult.uris
+            },
+            prod: {
+              redirect_uris: prodUriResult.uris
+            }
+          },
+          device_code: device_code || false,
+          createdBy: 'mcp'
+        };
+
+      const redirectUriLint = checkRedirectUris(appData.web, devUriResult, prodUriResult, strict_redirect_uris);
+      
+      const appResult = await apiClient.callAdminAPI('POST', `/api/v1/publishers/${resolvedTeamId}/applications`, appData);
+      
+      // Build warning messages for rejected URIs
+      const warnings = [];
+      if (devUriResult.rejected.length > 0) {
+        warnings.push(`${devUriResult.rejected.length} invalid development redirect URI(s) rejected: ${devUriResult.rejected.join(', ')}`);
+      }
+      if (prodUriResult.rejected.length > 0) {
+        warnings.push(`${prodUriResult.rejected.length} invalid production redirect URI(s) rejected: ${prodUriResult.rejected.join(', ')}`);
+      }
+
+      const actionResult = {
+        action: 'create',
+        success: true,
+        message: 'Application created successfully'
+      };
+      
+      if (warnings.length > 0) {
+        actionResult.warnings = warnings;
+      }
+      if (redirectUriLint) {
+        actionResult.redirect_uri_lint = redirectUriLint;
+      }
+
+      return {
+        profile,
+        application: flattenApp(appResult),
+        console_url: generateConsoleUrl(appResult.id, profile),
+        action_result: actionResult
+      };
+    }
+    
+
+    
+    case 'update': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/update');
+      if (!client_id) throw new Error('Client ID is required for update action');
+      
+      // Get current app data first
+      const currentApp = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`);
+      
+      // Initialize URI result objects
+      let devUriResult = { uris: [], rejected: [] };
+      let prodUriResult = { uris: [], rejected: [] };
+      
+              // Build web object from flattened parameters if any are provided
+        let webUpdate = {};
+        if (dev_localhost !== undefined || dev_127_0_0_1 !== undefined || dev_wildcard !== undefined || dev_redirect_uris !== undefined || prod_redirect_uris !== undefined) {
+          // Merge redirect URIs properly - superset for production, replacement for dev
+          const currentDevUris = currentApp.web?.dev?.redirect_uris || [];
+          const currentProdUris = currentApp.web?.prod?.redirect_uris || [];
+          
+          devUriResult = dev_redirect_uris !== undefined 
+            ? mergeRedirectUris([], dev_redirect_uris, false)  // Dev allows replacement
+            : { uris: currentDevUris, rejected: [] };
+            
+          prodUriResult = prod_redirect_uris !== undefined
+            ? mergeRedirectUris(currentProdUris, prod_redirect_uris, true)  // Prod creates superset
+            : { uris: currentProdUris, rejected: [] };
+
+          webUpdate = {
+            web: {
+              dev: {
+                localhost: dev_localhost !== undefined ? dev_localhost : currentApp.web?.dev?.localhost ?? true,
+                "127.0.0.1": dev_127_0_0_1 !== undefined ? dev_127_0_0_1 : currentApp.web?.dev?.["127.0.0.1"] ?? true,
+                wildcard_domain: dev_wildcard !== undefined ? dev_wildcard : currentApp.web?.dev?.wildcard_domain ?? false,
+                redirect_uris: devUriResult.uris
+              },
+              prod: {
+                redirect_uris: prodUriResult.uris
+              }
+            }
+          };
+        }
+
+        const updateData = {
+          ...currentApp,
+          ...(name !== undefined && { name }),
+          ...(tos_uri !== undefined && { tos_uri }),
+          ...(pp_uri !== undefined && { pp_uri }),
+          ...(image_uri !== undefined && { image_uri }),
+          ...webUpdate,
+          ...(device_code !== undefined && { device_code })
+        };
+
+        // Build warning messages for rejected URIs
+        const warnings = [];
+        if (devUriResult && devUriResult.rejected.length > 0) {
+          warnings.push(`${devUriResult.rejected.length} invalid development redirect URI(s) rejected: ${devUriResult.rejected.join(', ')}`);
+        }
+        if (prodUriResult && prodUriResult.rejected.length > 0) {
+          warnings.push(`${prodUriResult.rejected.length} invalid production redirect URI(s) rejected: ${prodUriResult.rejected.join(', ')}`);
+        }
+
+        // Only lint when redirect settings are part of this update
+        const redirectUriLint = webUpdate.web
+          ? checkRedirectUris(webUpdate.web, devUriResult, prodUriResult, strict_redirect_uris, currentApp.web)
+          : null;
+
+        if (dry_run) {
+          const actionResult = {
+            action: 'update',
+            success: true,
+            dry_run: true,
+            message: 'Dry run - no changes were written'
+          };
+          if (warnings.length > 0) {
+            actionResult.warnings = warnings;
+          }
+          if (redirectUriLint) {
+            actionResult.redirect_uri_lint = redirectUriLint;
+          }
+
+          return {
+            profile,
+            application: flattenApp(currentApp),
+            console_url: generateConsoleUrl(client_id, profile),
+            diff: diffApplication(currentApp, updateData),
+            action_result: actionResult
+          };
+        }
+
+              const appResult = await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`, updateData);
+
+        const actionResult = {
+          action: 'update',
+          success: true,
+          message: 'Application updated successfully'
+        };
+        
+        if (warnings.length > 0) {
+          actionResult.warnings = warnings;
+        }
+        if (redirectUriLint) {
+          actionResult.redirect_uri_lint = redirectUriLint;
+        }
+
+        return {
+          profile,
+          application: flattenApp(appResult),
+          console_url: generateConsoleUrl(client_id, profile),
+          action_result: actionResult
+        };
+    }
+    
+    case 'create_secret': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/create_secret');
+      if (!client_id) throw new Error('Client ID is required for create_secret action');
+      
+      // Generate hash and salt automatically
+      const { secret, hash, salt } = generateClientSecret();
+
+      const secretData = { hash, salt };
+      const secretResult = await apiClient.callAdminAPI('POST', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}/secrets`, secretData);
+
+              return {
+          profile,
+          client_secret: secret, // Return the raw secret to the user
+          console_url: generateConsoleUrl(client_id, profile),
+          action_result: {
+            action: 'create_secret',
+            success: true,
+            message: 'Client secret created successfully',
+            secret: summarizeSecret(secretResult)
+          }
+        };
+    }
+
+    case 'revoke_secret': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/revoke_secret');
+      if (!client_id) throw new Error('Client ID is required for revoke_secret action');
+      if (!secret_id) throw new Error('secret_id is required for revoke_secret action');
+
+      await apiClient.callAdminAPI('DELETE', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}/secrets/${secret_id}`);
+      const secretsResult = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}/secrets`);
+
+      return {
+        profile,
+        secrets: (secretsResult.secrets || []).map(summarizeSecret),
+        console_url: generateConsoleUrl(client_id, profile),
+        action_result: {
+          action: 'revoke_secret',
+          success: true,
+          message: 'Client secret revoked successfully',
+          revoked_secret_id: secret_id
+        }
+      };
+    }
+
+    case 'rotate_secret': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/rotate_secret');
+      if (!client_id) throw new Error('Client ID is required for rotate_secret action');
+
+      const secretsPath = `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}/secrets`;
+      const existingResult = await apiClient.callAdminAPI('GET', secretsPath);
+      const existingSecrets = existingResult.secrets || [];
+      // Retiring every secret at once could cut off deployments the caller did not mean to touch
+      if (!secret_id && existingSecrets.length > 1) {
+        const error = new Error('Missing required parameters: secret_id');
+        error.code = -32602; // Invalid params
+        error.data = {
+          missing_parameters: ['secret_id'],
+          secrets: existingSecrets.map(summarizeSecret),
+          message: `The application has ${existingSecrets.length} client secrets. Set secret_id to the one being replaced.`
+        };
+        throw error;
+      }
+      const retiring = secret_id
+        ? existingSecrets.filter(existing => existing.id === secret_id)
+        : existingSecrets;
+      if (secret_id && retiring.length === 0) {
+        throw new Error(`Client secret ${secret_id} not found for application ${client_id}`);
+      }
+
+      // Create the replacement before touching the old secret(s)
+      const { secret, hash, salt } = generateClientSecret();
+      const secretResult = await apiClient.callAdminAPI('POST', secretsPath, { hash, salt });
+
+      const gracePeriod = grace_period_seconds ?? DEFAULT_SECRET_GRACE_PERIOD_SECONDS;
+      const actionResult = {
+        action: 'rotate_secret',
+        success: true,
+        secret: summarizeSecret(secretResult)
+      };
+
+      if (gracePeriod === 0) {
+        for (const old of retiring) {
+          await apiClient.callAdminAPI('DELETE', `${secretsPath}/${old.id}`);
+        }
+        actionResult.message = `Client secret rotated - ${retiring.length} old secret(s) revoked`;
+        actionResult.revoked_secrets = retiring.map(summarizeSecret);
+      } else {
+        const revokeAfter = new Date(Date.now() + gracePeriod * 1000).toISOString();
+        actionResult.message = `Client secret rotated - the old secret stays valid until you revoke it: deploy the new secret, then call revoke_secret for each pending secret after ${revokeAfter}`;
+        actionResult.revocation = 'manual';
+        actionResult.pending_revocation = retiring.map(old => ({
+          ...summarizeSecret(old),
+          revoke_after: revokeAfter
+        }));
+      }
+
+      return {
+        profile,
+        client_secret: secret, // Return the raw secret to the user
+        console_url: generateConsoleUrl(client_id, profile),
+        action_result: actionResult
+      };
+    }
+
+    case 'archive':
+    case 'unarchive': {
+      sendPlausibleEvent(`/tools/call/hello_manage_app/${action}`);
+      if (!client_id) throw new Error(`Client ID is required for ${action} action`);
+
+      const currentApp = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`);
+      const archived = action === 'archive';
+      if (archived) {
+        requireNameConfirmation(currentApp, confirm_name, action);
+      }
+
+      const updatedApp = await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`, {
+        ...currentApp,
+        archived
+      });
+
+      // Refresh profile so the application list reflects the change
+      const updatedProfile = await getProfileWithTeamContext(apiClient, team_id);
+
+      return {
+        profile: updatedProfile,
+        application: flattenApp(updatedApp),
+        console_url: generateConsoleUrl(client_id, updatedProfile),
+        action_result: {
+          action,
+          success: true,
+          message: archived
+            ? 'Application archived successfully - use unarchive to restore it'
+            : 'Application restored successfully'
+        }
+      };
+    }
+
+    case 'remove_prod_redirect_uris': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/remove_prod_redirect_uris');
+      if (!client_id) throw new Error('Client ID is required for remove_prod_redirect_uris action');
+      if (!Array.isArray(prod_redirect_uris) || prod_redirect_uris.length === 0) {
+        const error = new Error('Missing required parameters: prod_redirect_uris');
+        error.code = -32602; // Invalid params
+        error.data = {
+          missing_parameters: ['prod_redirect_uris'],
+          message: 'List the production redirect URIs to remove in prod_redirect_uris.'
+        };
+        throw error;
+      }
+
+      const currentApp = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`);
+      const currentUris = currentApp.web?.prod?.redirect_uris || [];
+      const urisToRemove = [...new Set(prod_redirect_uris)];
+
+      const notFound = urisToRemove.filter(uri => !currentUris.includes(uri));
+      if (notFound.length > 0) {
+        const error = new Error(`${notFound.length} production redirect URI(s) not registered`);
+        error.code = -32602; // Invalid params
+        error.data = {
+          error_type: 'uri_not_found',
+          not_found: notFound,
+          prod_redirect_uris: currentUris,
+          message: `These URIs are not production redirect URIs of the application: ${notFound.join(', ')}. URIs must match exactly.`
+        };
+        throw error;
+      }
+
+      const remainingUris = currentUris.filter(uri => !urisToRemove.includes(uri));
+      if (remainingUris.length === 0) {
+        const error = new Error('Cannot remove the last production redirect URI');
+        error.code = -32602; // Invalid params
+        error.data = {
+          error_type: 'last_prod_redirect_uri',
+          prod_redirect_uris: currentUris,
+          message: 'An application must keep at least one production redirect URI. Add the replacement URI with update first, then remove the old one.'
+        };
+        throw error;
+      }
+
+      const expectedToken = prodRedirectRemovalToken(client_id, urisToRemove, currentUris);
+      if (confirm_token !== expectedToken) {
+        const error = new Error('Confirmation required for remove_prod_redirect_uris action');
+        error.code = -32602; // Invalid params
+        error.data = {
+          error_type: 'confirmation_required',
+          client_id,
+          uris_to_remove: urisToRemove,
+          remaining_prod_redirect_uris: remainingUris,
+          confirmation_token: expectedToken,
+          received_confirm_token: confirm_token ?? null,
+          message: confirm_token
+            ? 'The confirm_token does not match this removal - the URIs or the application changed. Review the URIs below and send the new confirmation_token as confirm_token.'
+            : 'Review the URIs below, then repeat the call with confirm_token set to confirmation_token to remove them.'
+        };
+        throw error;
+      }
+
+      const appResult = await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`, {
+        ...currentApp,
+        web: {
+          ...currentApp.web,
+          prod: {
+            ...currentApp.web?.prod,
+            redirect_uris: remainingUris
+          }
+        }
+      });
+
+      return {
+        profile,
+        application: flattenApp(appResult),
+        console_url: generateConsoleUrl(client_id, profile),
+        action_result: {
+          action: 'remove_prod_redirect_uris',
+          success: true,
+          message: `${urisToRemove.length} production redirect URI(s) removed`,
+          removed_prod_redirect_uris: urisToRemove,
+          remaining_prod_redirect_uris: remainingUris
+        }
+      };
+    }
+
+    case 'delete': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/delete');
+      if (!client_id) throw new Error('Client ID is required for delete action');
+
+      const currentApp = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`);
+      requireNameConfirmation(currentApp, confirm_name, 'delete');
+
+      await apiClient.callAdminAPI('DELETE', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`);
+
+      // Refresh profile so the deleted application no longer appears
+      const updatedProfile = await getProfileWithTeamContext(apiClient, team_id);
+
+      return {
+        profile: updatedProfile,
+        action_result: {
+          action: 'delete',
+          success: true,
+          message: 'Application deleted successfully',
+          deleted_application: {
+            id: client_id,
+            name: currentApp.name
+          }
+        }
+      };
+    }
+
+    case 'update_logo_from_data': {
+      console.log('🔧 Starting update_logo_from_data action');
+      console.log(`   client_id: ${client_id}`);
+      console.log(`   logo_content_type: ${logo_content_type}`);
+      console.log(`   logo_data length: ${logo_data ? logo_data.length : 'undefined'}`);
+      console.log(`   theme: ${theme}`);
+      
+      sendPlausibleEvent('/tools/call/hello_manage_app/update_logo_from_data');
+      if (!client_id) throw new Error('Client ID is required for update_logo_from_data action');
+      if (!logo_data || !logo_content_type) {
+        throw new Error('logo_data and logo_content_type are required for update_logo_from_data action');
+      }
+      
+      // Validate mime type
+      console.log('🔧 Validating MIME type...');
+      const mimeValidation = validateMimeType(logo_content_type);
+      if (!mimeValidation.valid) {
+        console.log(`❌ MIME type validation failed: ${mimeValidation.error}`);
+        throw new Error(mimeValidation.error);
+      }
+      console.log('✅ MIME type validation passed');
+
+      // Check the decoded data really is the declared format and fits the limits
+      const { buffer: logoBuffer, logo: logoInfo } = prepareLogoImage(Buffer.from(extractBase64FromDataUrl(logo_data), 'base64'), logo_content_type);
+      console.log(`✅ Logo validation passed: ${logoInfo.content_type}, ${logoInfo.size_bytes} bytes, ${logoInfo.width}×${logoInfo.height}`);
+
+      // Uploaded as the sniffed format, e.g. image/png for data declared as image/apng
+      const result = await applyLogoUpload({
+        action: 'update_logo_from_data',
+        profile,
+        teamId: resolvedTeamId,
+        clientId: client_id,
+        logoTheme: theme || 'light',
+        logoBuffer,
+        logoInfo,
+        source: 'data',
+        dryRun: dry_run,
+        previewImages: preview_images
+      }, apiClient);
+      if (result.upload_result) {
+        result.upload_result.logo_filename = generateLogoFilename(logoInfo.content_type);
+      }
+      console.log('✅ update_logo_from_data completed successfully');
+      return result;
+    }
+    
+    case 'update_logo_from_url': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/update_logo_from_url');
+      if (!client_id) throw new Error('Client ID is required for update_logo_from_url action');
+      if (!logo_url) {
+        throw new Error('logo_url is required for update_logo_from_url action');
+      }
+      
+      // Fetch the logo and check it is the image the server claims
+      const { buffer: fetchedBuffer, contentType: fetchedContentType } = await fetchLogoFromUrl(logo_url);
+      const { buffer: logoBuffer, logo: logoInfo } = prepareLogoImage(fetchedBuffer, fetchedContentType);
+
+      const result = await applyLogoUpload({
+        action: 'update_logo_from_url',
+        profile,
+        teamId: resolvedTeamId,
+        clientId: client_id,
+        logoTheme: theme || 'light',
+        logoBuffer,
+        logoInfo,
+        source: 'URL',
+        dryRun: dry_run,
+        previewImages: preview_images
+      }, apiClient);
+      result.action_result.fetched_content_type = fetchedContentType;
+      if (result.upload_result) {
+        result.upload_result.logo_filename = generateLogoFilename(logoInfo.content_type);
+      }
+      return result;
+    }
+
+    case 'update_logo_from_file': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/update_logo_from_file');
+      if (!client_id) throw new Error('Client ID is required for update_logo_from_file action');
+      if (!logo_file) {
+        throw new Error('logo_file is required for update_logo_from_file action');
+      }
+
+      const logoFile = await readWorkspaceLogo(logo_file, context);
+      const { buffer: logoBuffer, logo: logoInfo } = prepareLogoImage(logoFile.buffer, logoFile.contentType);
+      const result = await applyLogoUpload({
+        action: 'update_logo_from_file',
+        profile,
+        teamId: resolvedTeamId,
+        clientId: client_id,
+        logoTheme: theme || 'light',
+        logoBuffer,
+        logoInfo,
+        source: logo_file,
+        dryRun: dry_run,
+        previewImages: preview_images
+      }, apiClient);
+      result.action_result.file = logoFile.path;
+      return result;
+    }
+
+    case 'update_logos': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/update_logos');
+      if (!client_id) throw new Error('Client ID is required for update_logos action');
+      if (!light_logo || !dark_logo) {
+        throw new Error('light_logo and dark_logo are required for update_logos action');
+      }
+
+      // Validate both logos before anything is uploaded
+      const logos = {
+        light: await loadLogoInput(light_logo, 'light', context),
+        dark: await loadLogoInput(dark_logo, 'dark', context)
+      };
+      const logoDetails = {
+        light: { ...logos.light.logo, source: logos.light.source },
+        dark: { ...logos.dark.logo, source: logos.dark.source }
+      };
+
+      const currentApp = await getTeamApplication(apiClient, resolvedTeamId, client_id);
+      return applyLogoPair({
+        action: 'update_logos',
+        profile,
+        teamId: resolvedTeamId,
+        clientId: client_id,
+        currentApp,
+        logos,
+        logoDetails,
+        dryRun: dry_run,
+        previewImages: preview_images
+      }, apiClient);
+    }
+
+    case 'generate_logo': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/generate_logo');
+      if (!client_id) throw new Error('Client ID is required for generate_logo action');
+
+      const currentApp = await getTeamApplication(apiClient, resolvedTeamId, client_id);
+      const generated = generateLogoSvgs({
+        text: logo_text || currentApp.name,
+        style: logo_style,
+        color: logo_color,
+        darkColor: logo_dark_color
+      });
+      if (!generated.valid) {
+        const error = new Error(`Cannot generate a logo: ${generated.errors.join('; ')}`);
+        error.code = -32602; // Invalid params
+        error.data = {
+          error_type: 'invalid_logo_options',
+          errors: generated.errors,
+          message: `Cannot generate a logo: ${generated.errors.join('; ')}`
+        };
+        throw error;
+      }
+
+      // Generated logos go through the same checks as uploaded ones
+      const logos = {
+        light: prepareLogoImage(Buffer.from(generated.light.svg, 'utf8'), 'image/svg+xml'),
+        dark: prepareLogoImage(Buffer.from(generated.dark.svg, 'utf8'), 'image/svg+xml')
+      };
+      const logoDetails = {
+        light: { ...logos.light.logo, source: 'generated', color: generated.light.color },
+        dark: { ...logos.dark.logo, source: 'generated', color: generated.dark.color }
+      };
+
+      const result = await applyLogoPair({
+        action: 'generate_logo',
+        profile,
+        teamId: resolvedTeamId,
+        clientId: client_id,
+        currentApp,
+        logos,
+        logoDetails,
+        dryRun: dry_run,
+        previewImages: preview_images
+      }, apiClient);
+
+      result.preview = {
+        style: generated.style,
+        text: generated.text,
+        light: buildLogoPreview(logos.light.buffer, generated.light),
+        dark: buildLogoPreview(logos.dark.buffer, generated.dark)
+      };
+      if (!dry_run) {
+        result.action_result.message = `Generated ${generated.style} logos for "${generated.text}" and set them as the light and dark logos`;
+      }
+      if (generated.warnings.length > 0) {
+        result.action_result.warnings = generated.warnings;
+      }
+      return result;
+    }
+
+    case 'begin_logo_upload': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/begin_logo_upload');
+      if (!client_id) throw new Error('Client ID is required for begin_logo_upload action');
+      const mimeValidation = validateMimeType(logo_content_type);
+      if (!mimeValidation.valid) {
+        throw new Error(mimeValidation.error);
+      }
+
+      // Fail on a bad client_id now rather than after every chunk has been sent
+      await getTeamApplication(apiClient, resolvedTeamId, client_id);
+
+      const uploadSession = beginLogoUpload({
+        ownerId: uploadOwnerId(apiClient),
+        clientId: client_id,
+        teamId: resolvedTeamId,
+        contentType: logo_content_type,
+        theme: theme || 'light'
+      });
+
+      return {
+        profile,
+        upload_session: uploadSession,
+        action_result: {
+          action: 'begin_logo_upload',
+          success: true,
+          message: `Upload session opened - send the base64 logo with append_logo_chunk starting at chunk_index 0, then call commit_logo_upload before ${uploadSession.expires_at}`
+        }
+      };
+    }
+
+    case 'commit_logo_upload': {
+      sendPlausibleEvent('/tools/call/hello_manage_app/commit_logo_upload');
+      if (!upload_session_id) throw new Error('upload_session_id is required for commit_logo_upload action');
+      const { session, base64 } = assembleLogoUpload({ ownerId: uploadOwnerId(apiClient), sessionId: upload_session_id, checksum: upload_checksum });
+
+      let prepared;
+      try {
+        prepared = prepareLogoImage(Buffer.from(base64, 'base64'), session.content_type);
+      } catch (error) {
+        // The assembled logo cannot be fixed by sending more chunks
+        endLogoUpload(upload_session_id);
+        throw error;
+      }
+
+      const result = await applyLogoUpload({
+        action: 'commit_logo_upload',
+        profile,
+        teamId: session.team_id,
+        clientId: session.client_id,
+        logoTheme: session.theme,
+        logoBuffer: prepared.buffer,
+        logoInfo: prepared.logo,
+        source: `upload session ${upload_session_id}`,
+        dryRun: dry_run,
+        previewImages: preview_images
+      }, apiClient);
+
+      // A dry run keeps the session open so the same chunks can be committed
+      if (!dry_run) {
+        endLogoUpload(upload_session_id);
+      }
+      result.upload_session = session;
+      return result;
+    }
+    
+    default: {
+      // This should never be reached since we validate actions upfront
+      throw new Error(`Unexpected action in switch: ${action}`);
+    }
+  }
+}
+
+
+/**
+ * Get a team with its applications
+ * @param {Object} apiClient - Admin API client instance
+ * @param {string} teamId - Team ID
+ * @param {string} role - Role from the profile publisher list, if known
+ * @returns {Promise<Object>} - Team summary with application names
+ */
+async function getTeamWithApplications(apiClient, teamId, role) {
+  const publisherResponse = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${teamId}`);
+
+  return {
+    id: publisherResponse.profile.id,
+    name: publisherResponse.profile.name,
+    role: role || publisherResponse.role || 'admin',
+    applications: (publisherResponse.applications || []).map(app => ({
+      id: app.id,
+      name: app.name
+    }))
+  };
+}
+
+/**
+ * Handle the team management tool
+ * @param {Object} args - Tool arguments
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {Promise<Object>} - Tool execution result with profile data
+ */
+async function handleManageTeam(args, apiClient) {
+  const { action, team_id, name } = args;
+
+  const validActions = ['list', 'read', 'create', 'rename'];
+  if (!validActions.includes(action)) {
+    const error = new Error(`Invalid action parameter: "${action}"`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      received_action: action,
+      supported_actions: validActions,
+      message: `The action "${action}" is not supported. Please use one of the supported actions.`
+    };
+    throw error;
+  }
+
+  if ((action === 'read' || action === 'rename') && !team_id) {
+    throw new Error(`Team ID is required for ${action} action`);
+  }
+  if ((action === 'create' || action === 'rename') && (!name || name.trim() === '')) {
+    throw new Error(`Team name is required for ${action} action`);
+  }
+
+  sendPlausibleEvent(`/tools/call/hello_manage_team/${action}`);
+
+  switch (action) {
+    case 'list': {
+      const profile = await getProfileWithTeamContext(apiClient);
+      const teams = await Promise.all(
+        profile.teams.map(team => getTeamWithApplications(apiClient, team.id, team.role))
+      );
+
+      return {
+        profile,
+        teams,
+        action_result: {
+          action: 'list',
+          success: true,
+          message: `Found ${teams.length} team(s)`
+        }
+      };
+    }
+
+    case 'read': {
+      const profile = await getProfileWithTeamContext(apiClient);
+      const role = profile.teams.find(team => team.id === team_id)?.role;
+      const team = await getTeamWithApplications(apiClient, team_id, role);
+
+      return {
+        profile,
+        team,
+        action_result: {
+          action: 'read',
+          success: true,
+          message: 'Team retrieved successfully'
+        }
+      };
+    }
+
+    case 'create': {
+      const newTeam = await apiClient.callAdminAPI('POST', '/api/v1/publishers', {
+        name: name.trim()
+      });
+      const team = await getTeamWithApplications(apiClient, newTeam.profile.id);
+      const profile = await getProfileWithTeamContext(apiClient);
+
+      return {
+        profile,
+        team,
+        action_result: {
+          action: 'create',
+          success: true,
+          message: `Team "${team.name}" created successfully`
+        }
+      };
+    }
+
+    case 'rename': {
+      const previousTeam = await getTeamWithApplications(apiClient, team_id);
+      await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${team_id}`, {
+        name: name.trim()
+      });
+      const team = await getTeamWithApplications(apiClient, team_id);
+      const profile = await getProfileWithTeamContext(apiClient);
+
+      return {
+        profile,
+        team,
+        action_result: {
+          action: 'rename',
+          success: true,
+          message: `Team renamed from "${previousTeam.name}" to "${team.name}"`,
+          previous_name: previousTeam.name
+        }
+      };
+    }
+
+    default: {
+      throw new Error(`Unexpected action in switch: ${action}`);
+    }
+  }
+}
+
+/**
+ * Handle the legal document generator tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - MCP-formatted markdown documents
+ */
+async function handleGenerateLegalDocs(args = {}) {
+  sendPlausibleEvent('/tools/call/hello_generate_legal_docs');
+
+  const requiredFields = ['company_name', 'app_name', 'contact_email', 'website_url'];
+  const validation = validateRequiredFields(args, requiredFields);
+  if (!validation.valid) {
+    const error = new Error(`Missing required parameters: ${validation.missing.join(', ')}`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      missing_parameters: validation.missing,
+      message: `The parameters ${validation.missing.join(', ')} are required to generate legal documents.`
+    };
+    throw error;
+  }
+
+  return await generateLegalDocs(args);
+}
+
+/**
+ * Find the live application a manifest describes - by client_id, or by name within the team
+ * @param {Object} profile - Profile with team context
+ * @param {Object} config - Effective manifest configuration
+ * @returns {Object|null} - Application summary from the team, or null if it does not exist yet
+ */
+function findManifestApplication(profile, config) {
+  const applications = profile.applications || [];
+
+  if (config.client_id) {
+    const app = applications.find(app => app.id === config.client_id);
+    if (!app) {
+      const error = new Error(`Application not found: The client_id "${config.client_id}" is not in the team.`);
+      error.code = -32602; // Invalid params
+      error.data = {
+        error_type: 'invalid_client_id',
+        client_id: config.client_id,
+        message: `The manifest client_id "${config.client_id}" was not found in the team. Check the client_id, or set team_id to the team that owns the application.`
+      };
+      throw error;
+    }
+    return app;
+  }
+
+  const matches = applications.filter(app => app.name === config.name);
+  if (matches.length > 1) {
+    const error = new Error(`Ambiguous manifest: ${matches.length} applications are named "${config.name}"`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'ambiguous_application',
+      client_ids: matches.map(app => app.id),
+      message: `More than one application in the team is named "${config.name}". Add client_id to the manifest to choose one.`
+    };
+    throw error;
+  }
+
+  return matches[0] || null;
+}
+
+/**
+ * Plan a manifest logo by comparing the local file with the live logo
+ * @param {string} theme - Logo theme (light or dark)
+ * @param {Object} logoFile - Local logo file from readManifestLogo, as prepared for upload
+ * @param {Object|null} currentApp - Live application, or null when it will be created
+ * @param {boolean} forceLogoUpload - Upload even when the live logo cannot be compared
+ * @returns {Promise<Object>} - Logo plan step
+ */
+async function planManifestLogo(theme, logoFile, currentApp, forceLogoUpload) {
+  const field = theme === 'light' ? 'image_uri' : 'dark_image_uri';
+  const currentUri = currentApp?.[field];
+  const step = {
+    theme,
+    field,
+    file: logoFile.path,
+    content_type: logoFile.contentType,
+    size_bytes: logoFile.sizeBytes,
+    sha256: logoFile.sha256
+  };
+
+  if (!currentUri) {
+    return { ...step, operation: 'upload', reason: 'No logo is set' };
+  }
+  if (forceLogoUpload) {
+    return { ...step, operation: 'upload', reason: 'force_logo_upload is set' };
+  }
+
+  // The Admin API does not report a content hash, so compare against the published logo
+  try {
+    const { body } = await fetchPublicUrl(currentUri, { maxBytes: MAX_LOGO_SIZE_BYTES, timeoutMs: MANIFEST_LOGO_FETCH_TIMEOUT_MS });
+    const liveHash = crypto.createHash('sha256').update(body).digest('hex');
+    return liveHash === logoFile.sha256
+      ? { ...step, operation: 'unchanged', reason: 'Live logo matches the local file' }
+      : { ...step, operation: 'upload', reason: 'Live logo differs from the local file' };
+  } catch (error) {
+    return {
+      ...step,
+      operation: 'skip',
+      reason: `Live logo ${currentUri} could not be compared (${error.message}); set force_logo_upload to replace it`
+    };
+  }
+}
+
+/**
+ * Plan and optionally apply a manifest against the live application
+ * @param {Object} options - Sync options
+ * @param {Object} options.manifest - Parsed manifest
+ * @param {string} options.baseDir - Directory logo paths are relative to
+ * @param {string} options.environment - Optional manifest environment to apply
+ * @param {boolean} options.apply - Write the plan; when false only the plan is returned
+ * @param {boolean} options.forceLogoUpload - Upload logos that cannot be compared
+ * @param {boolean} options.allowLogoFiles - Whether logo paths may be read from disk
+ * @param {Array<string>|null} options.workspaceRoots - Roots logo files must be inside, or null to read any file
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {Promise<Object>} - Plan, resulting application and action result
+ */
+export async function syncManifest({ manifest, baseDir = process.cwd(), environment, apply = false, forceLogoUpload = false, allowLogoFiles = true, workspaceRoots = null }, apiClient) {
+  const config = resolveManifest(manifest, environment);
+
+  if (!config.client_id && !config.name) {
+    const error = new Error('Manifest must set name or client_id');
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_manifest',
+      errors: ['Manifest must set name or client_id'],
+      message: 'The manifest needs a name (used to find or create the application) or the client_id of an existing application.'
+    };
+    throw error;
+  }
+
+  if (config.logos && !allowLogoFiles) {
+    const error = new Error('Manifest logo files are only supported with the stdio transport');
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'unsupported_transport',
+      message: 'Logo file paths can only be read by a local (stdio) server. Remove logos from the manifest or upload them with hello_manage_app update_logo_from_data.'
+    };
+    throw error;
+  }
+
+  const profile = await getProfileWithTeamContext(apiClient, config.team_id);
+  if (profile.error && config.team_id) {
+    throw new Error(profile.error);
+  }
+  const teamId = config.team_id || profile.defaultTeam?.id || null;
+
+  const appFields = {};
+  for (const field of MANIFEST_APP_FIELDS) {
+    if (config[field] !== undefined) {
+      appFields[field] = config[field];
+    }
+  }
+
+  // Read logo files up front so a bad path or logo fails before anything is written
+  const logoFiles = {};
+  for (const [theme, logoPath] of Object.entries(config.logos || {})) {
+    const logoFile = readManifestLogo(logoPath, baseDir, workspaceRoots);
+    // Plan with the bytes that will be uploaded, so a sanitized SVG still matches its published copy
+    const { buffer, logo } = prepareLogoImage(Buffer.from(logoFile.data, 'base64'), logoFile.contentType);
+    logoFiles[theme] = {
+      ...logoFile,
+      data: buffer.toString('base64'),
+      contentType: logo.content_type,
+      sizeBytes: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+  }
+
+  const existing = teamId ? findManifestApplication(profile, config) : null;
+  const plan = {
+    operation: existing ? 'update' : 'create',
+    client_id: existing?.id || null,
+    team_id: teamId,
+    environment: environment || null,
+    changes: {},
+    logos: [],
+    warnings: []
+  };
+
+  let currentApp = null;
+  if (existing) {
+    // Reuse the update dry run to compute field changes against the live application
+    const dryRun = await handleManageApp({ ...appFields, action: 'update', client_id: existing.id, team_id: teamId, dry_run: true }, apiClient);
+    currentApp = dryRun.application;
+    plan.changes = dryRun.diff;
+    plan.warnings.push(...(dryRun.action_result.warnings || []));
+    if (dryRun.action_result.redirect_uri_lint) {
+      plan.redirect_uri_lint = dryRun.action_result.redirect_uri_lint;
+    }
+
+    const retainedProdUris = (currentApp.prod_redirect_uris || []).filter(uri => !(config.prod_redirect_uris || []).includes(uri));
+    if (config.prod_redirect_uris !== undefined && retainedProdUris.length > 0) {
+      plan.warnings.push(`${retainedProdUris.length} live production redirect URI(s) are not in the manifest and will be kept, since sync never removes production redirect URIs - use hello_manage_app remove_prod_redirect_uris to remove them: ${retainedProdUris.join(', ')}`);
     }
-  });
-  
-  let finalUris;
-  if (isProduction) {
-    // For production, create superset - never remove existing URIs
-    const existingSet = new Set(existingUris || []);
-    validNewUris.forEach(uri => existingSet.add(uri));
-    finalUris = Array.from(existingSet);
   } else {
-    // For development, allow replacement
-    finalUris = validNewUris;
+    for (const [field, value] of Object.entries(appFields)) {
+      plan.changes[field] = { old: null, new: value };
+    }
+
+    // Same defaults as the create action
+    const lint = lintRedirectUris({
+      devUris: config.dev_redirect_uris || [],
+      prodUris: config.prod_redirect_uris || [],
+      devLocalhost: config.dev_localhost ?? true,
+      dev127: config.dev_127_0_0_1 ?? true
+    });
+    if (lint.errors.length > 0 || lint.warnings.length > 0) {
+      plan.redirect_uri_lint = lint;
+    }
   }
-  
+
+  for (const [theme, logoFile] of Object.entries(logoFiles)) {
+    plan.logos.push(await planManifestLogo(theme, logoFile, currentApp, forceLogoUpload));
+  }
+
+  const logoUploads = plan.logos.filter(step => step.operation === 'upload');
+  plan.in_sync = plan.operation === 'update' && Object.keys(plan.changes).length === 0 && logoUploads.length === 0;
+
+  if (!apply) {
+    return {
+      profile,
+      application: currentApp,
+      console_url: existing ? generateConsoleUrl(existing.id, profile) : null,
+      plan,
+      action_result: {
+        action: 'sync_manifest',
+        success: true,
+        applied: false,
+        message: plan.in_sync ? 'Application already matches the manifest' : 'Plan computed - run again with apply to make these changes'
+      }
+    };
+  }
+
+  let result = null;
+  let clientId = existing?.id;
+  if (plan.operation === 'create') {
+    result = await handleManageApp({ ...appFields, action: 'create', team_id: config.team_id }, apiClient);
+    clientId = result.application.id;
+  } else if (Object.keys(plan.changes).length > 0) {
+    result = await handleManageApp({ ...appFields, action: 'update', client_id: clientId, team_id: teamId }, apiClient);
+  }
+
+  for (const step of logoUploads) {
+    const logoFile = logoFiles[step.theme];
+    result = await handleManageApp({
+      action: 'update_logo_from_data',
+      client_id: clientId,
+      team_id: teamId,
+      logo_data: logoFile.data,
+      logo_content_type: logoFile.contentType,
+      theme: step.theme
+    }, apiClient);
+  }
+
+  if (!result) {
+    result = await handleManageApp({ action: 'read', client_id: clientId, team_id: teamId }, apiClient);
+  }
+
   return {
-    uris: finalUris,
-    rejected: rejectedUris
+    profile: result.profile,
+    application: result.application,
+    console_url: result.console_url,
+    plan,
+    action_result: {
+      action: 'sync_manifest',
+      success: true,
+      applied: true,
+      message: plan.in_sync ? 'Application already matches the manifest - nothing to apply' : `Manifest applied - application ${plan.operation === 'create' ? 'created' : 'updated'}`
+    }
   };
 }
 
 /**
- * Get user profile with team context
+ * Handle the manifest sync tool
+ * @param {Object} args - Tool arguments
  * @param {Object} apiClient - Admin API client instance
- * @returns {Promise<Object>} - Profile data with team terminology
+ * @param {Object} context - Call context, e.g. { transport: 'stdio', getWorkspaceRoots }
+ * @returns {Promise<Object>} - Sync result
  */
-async function getProfileWithTeamContext(apiClient, teamId = null) {
-  try {
-    if (teamId) {
-      // When team_id is provided, get specific publisher data
-      const publisherResponse = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${teamId}`);
-      
-      return {
-        user: { 
-          id: publisherResponse.profile.id, 
-          name: publisherResponse.profile.name 
-        },
-        defaultTeam: {
-          id: publisherResponse.profile.id,
-          name: publisherResponse.profile.name,
-          role: publisherResponse.role || 'admin'
-        },
-        teams: [{
-          id: publisherResponse.profile.id,
-          name: publisherResponse.profile.name,
-          role: publisherResponse.role || 'admin',
-          applications: publisherResponse.applications || []
-        }],
-        applications: publisherResponse.applications || []
-      };
-    } else {
-      // Default behavior - get profile with default team
-      const profileResponse = await apiClient.callAdminAPI('GET', '/api/v1/profile');
-      
-      return {
-        user: profileResponse.profile,
-        defaultTeam: profileResponse.currentPublisher?.profile ? {
-          id: profileResponse.currentPublisher.profile.id,
-          name: profileResponse.currentPublisher.profile.name,
-          role: 'admin'
-        } : null,
-        teams: profileResponse.publishers?.map(pub => ({
-          id: pub.id,
-          name: pub.name,
-          role: pub.role,
-          applications: [] // Publishers don't include applications in list
-        })) || [],
-        applications: profileResponse.currentPublisher?.applications || []
+async function handleSyncManifest(args = {}, apiClient, context = {}) {
+  const { manifest_path, manifest, environment, apply, force_logo_upload } = args;
+  sendPlausibleEvent(`/tools/call/hello_sync_manifest/${apply ? 'apply' : 'plan'}`);
+
+  const isLocal = context.transport === 'stdio';
+
+  if (!manifest_path && !manifest) {
+    const error = new Error('Missing required parameters: manifest_path or manifest');
+    error.code = -32602; // Invalid params
+    error.data = {
+      missing_parameters: ['manifest_path', 'manifest'],
+      message: 'Provide the manifest inline with manifest, or (stdio only) a manifest_path to read it from.'
+    };
+    throw error;
+  }
+
+  if (manifest_path && !isLocal) {
+    const error = new Error('manifest_path is only supported with the stdio transport');
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'unsupported_transport',
+      message: 'This server cannot read files from your machine. Pass the manifest contents inline with manifest instead.'
+    };
+    throw error;
+  }
+
+  // Only files inside the client's workspace roots may be read
+  const workspaceRoots = isLocal && context.getWorkspaceRoots ? await context.getWorkspaceRoots() : [process.cwd()];
+  let loaded = { manifest, baseDir: workspaceRoots[0] };
+  if (manifest_path) {
+    const manifestFile = resolveWorkspaceFile(manifest_path, workspaceRoots);
+    if (!manifestFile.valid) {
+      const error = new Error(manifestFile.error);
+      error.code = -32602; // Invalid params
+      error.data = {
+        error_type: 'invalid_path',
+        file: manifest_path,
+        workspace_roots: workspaceRoots,
+        message: manifestFile.error
       };
+      throw error;
     }
-  } catch (error) {
-    // Return minimal profile on error
-    return {
-      user: null,
-      defaultTeam: null,
-      teams: [],
-      applications: [],
-      error: `Unable to fetch profile: ${error.message}`
+    loaded = loadManifest(manifestFile.path);
+  }
+
+  return await syncManifest({
+    manifest: loaded.manifest,
+    baseDir: loaded.baseDir,
+    environment,
+    apply: apply === true,
+    forceLogoUpload: force_logo_upload === true,
+    allowLogoFiles: isLocal,
+    workspaceRoots
+  }, apiClient);
+}
+
+/**
+ * Ask git whether it ignores a file, so nested .gitignore files, negations and global excludes all count
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} cwd - Folder to run git in, inside the repository
+ * @returns {boolean|null} - True if ignored, false if not, null when git is unavailable or the folder is not a repository
+ */
+function isGitIgnored(filePath, cwd) {
+  const result = spawnSync('git', ['check-ignore', '--quiet', filePath], { cwd, stdio: 'ignore', timeout: 5000 });
+  if (result.status === 0) {
+    return true;
+  }
+  return result.status === 1 ? false : null;
+}
+
+/**
+ * Handle the env file tool - writes Hellō settings into a workspace .env file
+ * @param {Object} args - Tool arguments
+ * @param {Object} apiClient - Admin API client instance
+ * @param {Object} context - Call context, e.g. { transport: 'stdio', getWorkspaceRoots }
+ * @returns {Promise<Object>} - Keys written and skipped
+ */
+async function handleWriteEnv(args = {}, apiClient, context = {}) {
+  const { client_id, team_id, file, framework, include_client_secret, overwrite } = args;
+  sendPlausibleEvent('/tools/call/hello_write_env');
+
+  if (context.transport !== 'stdio') {
+    const error = new Error('hello_write_env is only supported with the stdio transport');
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'unsupported_transport',
+      message: 'This server cannot write files on your machine. Use hello_manage_app export with format "env" and save the output yourself.'
+    };
+    throw error;
+  }
+
+  if (!client_id) {
+    const error = new Error('Missing required parameters: client_id');
+    error.code = -32602; // Invalid params
+    error.data = {
+      missing_parameters: ['client_id'],
+      message: 'The parameter client_id is required to write an env file.'
+    };
+    throw error;
+  }
+
+  const targetFile = file || (framework === 'nextjs' ? '.env.local' : '.env');
+  // Only files inside the client's workspace roots may be written
+  const workspaceRoots = context.getWorkspaceRoots ? await context.getWorkspaceRoots() : [process.cwd()];
+  const target = resolveWorkspaceTarget(targetFile, workspaceRoots);
+  if (!target.valid) {
+    const error = new Error(target.error);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_path',
+      file: targetFile,
+      workspace_roots: workspaceRoots,
+      message: target.error
+    };
+    throw error;
+  }
+
+  // Confirm the application exists before touching the file, and find the team that owns it
+  const readResult = await handleManageApp({ action: 'read', client_id, team_id }, apiClient);
+  const appTeamId = team_id || readResult.application.teamId || readResult.application.publisher;
+
+  const fileExists = fs.existsSync(target.path);
+  const existingContent = fileExists ? fs.readFileSync(target.path, 'utf8') : '';
+
+  const variables = {
+    HELLO_CLIENT_ID: client_id,
+    HELLO_COOKIE_SECRET: crypto.randomBytes(COOKIE_SECRET_BYTES).toString('hex')
+  };
+
+  // Only create a secret when it will be written, so no unused secret is left registered
+  let secretResult = null;
+  if (include_client_secret && (overwrite || !hasEnvKey(existingContent, 'HELLO_CLIENT_SECRET'))) {
+    secretResult = await handleManageApp({ action: 'create_secret', client_id, team_id: appTeamId }, apiClient);
+    variables.HELLO_CLIENT_SECRET = secretResult.client_secret;
+  } else if (include_client_secret) {
+    variables.HELLO_CLIENT_SECRET = null;
+  }
+
+  const merged = mergeEnvContent(existingContent, variables, overwrite === true);
+  if (merged.written.length > 0) {
+    fs.mkdirSync(path.dirname(target.path), { recursive: true });
+    fs.writeFileSync(target.path, merged.content, { mode: 0o600 });
+  }
+
+  const warnings = [];
+  if (merged.skipped.length > 0) {
+    warnings.push(`${merged.skipped.length} key(s) already set and left unchanged: ${merged.skipped.join(', ')} - set overwrite to replace them`);
+  }
+  if (isGitIgnored(target.path, target.root) === false) {
+    warnings.push(`${targetFile} is not ignored by git - add it to .gitignore so secrets are not committed`);
+  }
+
+  const actionResult = {
+    action: 'write_env',
+    success: true,
+    message: merged.written.length > 0
+      ? `${fileExists ? 'Updated' : 'Created'} ${targetFile} with ${merged.written.join(', ')}`
+      : `${targetFile} already has all keys - nothing written`
+  };
+  if (secretResult) {
+    actionResult.secret = secretResult.action_result.secret;
+  }
+  if (warnings.length > 0) {
+    actionResult.warnings = warnings;
+  }
+
+  return {
+    profile: readResult.profile,
+    application: {
+      id: readResult.application.id,
+      name: readResult.application.name
+    },
+    env_file: {
+      path: target.path,
+      created: !fileExists && merged.written.length > 0,
+      written: merged.written,
+      skipped: merged.skipped
+    },
+    action_result: actionResult
+  };
+}
+
+/**
+ * Handle the login button snippet tool
+ * @param {Object} args - Tool arguments
+ * @param {Object} apiClient - Admin API client instance
+ * @returns {Promise<Object>} - Snippet files and the settings they were generated with
+ */
+async function handleGenerateLoginButton(args = {}, apiClient) {
+  const { client_id, team_id, stack, redirect_uri, scope, provider_hint, domain_hint, button_color, button_theme, button_hover } = args;
+  sendPlausibleEvent('/tools/call/hello_generate_login_button');
+
+  const validation = validateRequiredFields(args, ['client_id', 'stack']);
+  if (!validation.valid) {
+    const error = new Error(`Missing required parameters: ${validation.missing.join(', ')}`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      missing_parameters: validation.missing,
+      message: `The parameters ${validation.missing.join(', ')} are required to generate a login button.`
+    };
+    throw error;
+  }
+
+  // The snippet is built from the application as stored, so read it through the normal read path
+  const readResult = await handleManageApp({ action: 'read', client_id, team_id }, apiClient);
+
+  const snippet = generateLoginSnippet({
+    app: readResult.application,
+    stack,
+    redirectUri: redirect_uri,
+    scope,
+    providerHint: provider_hint,
+    domainHint: domain_hint,
+    button: { color: button_color, theme: button_theme, hover: button_hover }
+  });
+  if (!snippet.valid) {
+    const error = new Error(`Invalid login button options: ${snippet.errors.join('; ')}`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_login_options',
+      errors: snippet.errors,
+      message: snippet.errors.join('; ')
     };
+    throw error;
+  }
+
+  const actionResult = {
+    action: 'generate_login_button',
+    success: true,
+    message: `Generated a ${stack} login button for ${readResult.application.name} with ${snippet.files.length} file(s)`
+  };
+  if (snippet.warnings.length > 0) {
+    actionResult.warnings = snippet.warnings;
   }
+
+  return {
+    profile: readResult.profile,
+    application: {
+      id: readResult.application.id,
+      name: readResult.application.name
+    },
+    login_config: snippet.config,
+    snippet: {
+      stack,
+      install: snippet.install,
+      files: snippet.files,
+      steps: snippet.steps
+    },
+    action_result: actionResult
+  };
 }
 
 /**
- * Handle the consolidated app management tool
+ * Check that a redirect URI is a loopback URI the test login can listen on
+ * @param {string} redirectUri - Redirect URI from the caller
+ * @returns {string|null} - Reason it cannot be used, or null if it can
+ */
+function loopbackRedirectUriError(redirectUri) {
+  let parsed;
+  try {
+    parsed = new URL(redirectUri);
+  } catch (error) {
+    return `redirect_uri is not a valid URI: ${redirectUri}`;
+  }
+  if (parsed.protocol !== 'http:' || !['localhost', '127.0.0.1'].includes(parsed.hostname)) {
+    return `redirect_uri must be an http://localhost or http://127.0.0.1 URI so the callback reaches this machine, not ${redirectUri}`;
+  }
+  if (parsed.search || parsed.hash) {
+    return 'redirect_uri must not have a query or fragment';
+  }
+  return null;
+}
+
+/**
+ * Wait for the authorization code, or give up after a timeout
+ * @param {Promise<string>} code - Resolves with the authorization code
+ * @param {number} timeoutMs - Time to wait
+ * @returns {Promise<string>} - Authorization code
+ */
+function waitForAuthorizationCode(code, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`No callback received within ${Math.round(timeoutMs / 1000)} seconds`);
+      error.oauth = { error: 'timeout', error_description: 'The login was not completed - check the browser for an error from Hellō, e.g. an unregistered redirect URI' };
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([code, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Handle the end-to-end test login tool
  * @param {Object} args - Tool arguments
  * @param {Object} apiClient - Admin API client instance
- * @returns {Promise<Object>} - Tool execution result with profile data
+ * @param {string} transport - Transport the call arrived on
+ * @returns {Promise<Object>} - Decoded ID token claims and checks, or the step the login failed at
  */
-async function handleManageApp(args, apiClient) {
-  console.log('🔧 handleManageApp called with args:', JSON.stringify(args, null, 2));
-  const { action, client_id, team_id, name, tos_uri, pp_uri, image_uri, dev_localhost, dev_127_0_0_1, dev_wildcard, dev_redirect_uris, prod_redirect_uris, device_code, logo_data, logo_content_type, logo_url, theme } = args;
-  console.log(`🔧 Extracted action: "${action}"`);
-  
-  // FIRST: Validate action parameter before doing any API calls
-  const validActions = ['create', 'read', 'update', 'create_secret', 'update_logo_from_data', 'update_logo_from_url'];
-  if (!validActions.includes(action)) {
-    console.log(`❌ Unknown action received: "${action}"`);
-    console.log(`   Supported actions: ${validActions.join(', ')}`);
-    
-    // Create a proper JSON-RPC error for invalid parameters
-    const error = new Error(`Invalid action parameter: "${action}"`);
+async function handleTestLogin(args = {}, apiClient, transport) {
+  const { client_id, team_id, scope, provider_hint, domain_hint, redirect_uri, timeout_seconds, open_browser } = args;
+  sendPlausibleEvent('/tools/call/hello_test_login');
+
+  if (transport !== 'stdio') {
+    const error = new Error('hello_test_login is only supported with the stdio transport');
     error.code = -32602; // Invalid params
     error.data = {
-      received_action: action,
-      supported_actions: validActions,
-      message: `The action "${action}" is not supported. Please use one of the supported actions.`
+      error_type: 'unsupported_transport',
+      message: 'The login callback has to reach a server on your machine. Run the MCP server locally (stdio) to test a login.'
     };
     throw error;
   }
-  
-  // Get current profile, team, and application data 
-  const profile = await getProfileWithTeamContext(apiClient, team_id);
 
-  // Handle read action separately - no need to create teams
-  if (action === 'read') {
-    sendPlausibleEvent('/tools/call/hello_manage_app/read');
-    // If no client_id provided, return profile only
-    if (!client_id) {
-      return {
-        profile,
-        action_result: {
-          action: 'read',
-          success: true,
-          message: 'Profile retrieved successfully'
-        }
-      };
-    }
-    
-    // If client_id provided, look for it in current publisher's applications first
-    let app = profile.applications.find(app => app.id === client_id);
-    
-    // If not found in current publisher, try to fetch directly via Admin API
-    if (!app) {
-      try {
-        app = await apiClient.callAdminAPI('GET', `/api/v1/applications/${client_id}`);
-        // Add team context if we found the app via direct lookup
-        if (app) {
-          app.teamId = app.publisher;
-          // We don't have team name from direct lookup, so leave it undefined
-        }
-      } catch (error) {
-        throw new Error(`Application with client_id ${client_id} not found`);
-      }
-    }
-    
-    return {
-      profile,
-      application: flattenApp(app),
-      console_url: generateConsoleUrl(client_id, profile),
-      action_result: {
-        action: 'read',
-        success: true,
-        message: 'Application retrieved successfully'
-      }
+  if (!client_id) {
+    const error = new Error('Missing required parameters: client_id');
+    error.code = -32602; // Invalid params
+    error.data = {
+      missing_parameters: ['client_id'],
+      message: 'The parameter client_id is required to test a login.'
     };
+    throw error;
   }
 
-  // For all other actions, get team ID (use provided or create default)
-  const resolvedTeamId = team_id || await getOrCreateDefaultTeam(apiClient, profile);
-  
-  console.log(`🔧 Entering switch statement with action: "${action}"`);
-  switch (action) {
-    case 'create': {
-      sendPlausibleEvent('/tools/call/hello_manage_app/create');
-      // Generate name from existing profile if not provided
-      let appName = name;
-      if (!appName) {
-        const userName = profile.user?.name || 'User';
-        appName = `${userName}'s App`;
-      }
-      
-      // Validate and prepare redirect URIs
-      const devUriResult = mergeRedirectUris([], dev_redirect_uris || [], false);
-      const prodUriResult = mergeRedirectUris([], prod_redirect_uris || [], true);
-
-      const appData = {
-        name: appName,
-          tos_uri: tos_uri || null,
-          pp_uri: pp_uri || null,
-          image_uri: image_uri || null,
-          web: {
-            dev: {
-              localhost: dev_localhost !== undefined ? dev_localhost : true,
-              "127.0.0.1": dev_127_0_0_1 !== undefined ? dev_127_0_0_1 : true,
-              wildcard_domain: dev_wildcard !== undefined ? dev_wildcard : false,
-              redirect_uris: devUriResult.uris
-            },
-            prod: {
-              redirect_uris: prodUriResult.uris
-            }
-          },
-          device_code: device_code || false,
-          createdBy: 'mcp'
-        };
-      
-      const appResult = await apiClient.callAdminAPI('POST', `/api/v1/publishers/${resolvedTeamId}/applications`, appData);
-      
-      // Build warning messages for rejected URIs
-      const warnings = [];
-      if (devUriResult.rejected.length > 0) {
-        warnings.push(`${devUriResult.rejected.length} invalid development redirect URI(s) rejected: ${devUriResult.rejected.join(', ')}`);
-      }
-      if (prodUriResult.rejected.length > 0) {
-        warnings.push(`${prodUriResult.rejected.length} invalid production redirect URI(s) rejected: ${prodUriResult.rejected.join(', ')}`);
-      }
-
-      const actionResult = {
-        action: 'create',
-        success: true,
-        message: 'Application created successfully'
-      };
-      
-      if (warnings.length > 0) {
-        actionResult.warnings = warnings;
-      }
-
-      return {
-        profile,
-        application: flattenApp(appResult),
-        console_url: generateConsoleUrl(appResult.id, profile),
-        action_result: actionResult
-      };
-    }
-    
-
-    
-    case 'update': {
-      sendPlausibleEvent('/tools/call/hello_manage_app/update');
-      if (!client_id) throw new Error('Client ID is required for update action');
-      
-      // Get current app data first
-      const currentApp = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`);
-      
-      // Initialize URI result objects
-      let devUriResult = { uris: [], rejected: [] };
-      let prodUriResult = { uris: [], rejected: [] };
-      
-              // Build web object from flattened parameters if any are provided
-        let webUpdate = {};
-        if (dev_localhost !== undefined || dev_127_0_0_1 !== undefined || dev_wildcard !== undefined || dev_redirect_uris !== undefined || prod_redirect_uris !== undefined) {
-          // Merge redirect URIs properly - superset for production, replacement for dev
-          const currentDevUris = currentApp.web?.dev?.redirect_uris || [];
-          const currentProdUris = currentApp.web?.prod?.redirect_uris || [];
-          
-          devUriResult = dev_redirect_uris !== undefined 
-            ? mergeRedirectUris([], dev_redirect_uris, false)  // Dev allows replacement
-            : { uris: currentDevUris, rejected: [] };
-            
-          prodUriResult = prod_redirect_uris !== undefined
-            ? mergeRedirectUris(currentProdUris, prod_redirect_uris, true)  // Prod creates superset
-            : { uris: currentProdUris, rejected: [] };
+  const params = validateLoginParams({ scope, providerHint: provider_hint });
+  const redirectError = redirect_uri !== undefined ? loopbackRedirectUriError(redirect_uri) : null;
+  const errors = redirectError ? [...params.errors, redirectError] : params.errors;
+  if (errors.length > 0) {
+    const error = new Error(`Invalid login options: ${errors.join('; ')}`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_login_options',
+      errors,
+      message: errors.join('; ')
+    };
+    throw error;
+  }
 
-          webUpdate = {
-            web: {
-              dev: {
-                localhost: dev_localhost !== undefined ? dev_localhost : currentApp.web?.dev?.localhost || true,
-                "127.0.0.1": dev_127_0_0_1 !== undefined ? dev_127_0_0_1 : currentApp.web?.dev?.["127.0.0.1"] || true,
-                wildcard_domain: dev_wildcard !== undefined ? dev_wildcard : currentApp.web?.dev?.wildcard_domain || false,
-                redirect_uris: devUriResult.uris
-              },
-              prod: {
-                redirect_uris: prodUriResult.uris
-              }
-            }
-          };
-        }
+  const readResult = await handleManageApp({ action: 'read', client_id, team_id }, apiClient);
+  const app = readResult.application;
 
-        const updateData = {
-          ...currentApp,
-          ...(name !== undefined && { name }),
-          ...(tos_uri !== undefined && { tos_uri }),
-          ...(pp_uri !== undefined && { pp_uri }),
-          ...(image_uri !== undefined && { image_uri }),
-          ...webUpdate,
-          ...(device_code !== undefined && { device_code })
-        };
-      
-              const appResult = await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`, updateData);
-      
-        // Build warning messages for rejected URIs
-        const warnings = [];
-        if (devUriResult && devUriResult.rejected.length > 0) {
-          warnings.push(`${devUriResult.rejected.length} invalid development redirect URI(s) rejected: ${devUriResult.rejected.join(', ')}`);
-        }
-        if (prodUriResult && prodUriResult.rejected.length > 0) {
-          warnings.push(`${prodUriResult.rejected.length} invalid production redirect URI(s) rejected: ${prodUriResult.rejected.join(', ')}`);
-        }
+  // Hellō shows an error page rather than redirecting for a rejected redirect URI, so catch it before waiting
+  const callbackUri = redirect_uri || 'http://localhost/callback';
+  if (!isRedirectUriAllowed(callbackUri, app)) {
+    const message = redirect_uri
+      ? `${redirect_uri} is not registered for ${app.name}, and ${new URL(redirect_uri).hostname} is not allowed in development. Add it to dev_redirect_uris, or enable dev_localhost / dev_127_0_0_1.`
+      : `${app.name} does not allow http://localhost redirect URIs. Enable dev_localhost, or pass a registered loopback redirect_uri.`;
+    const error = new Error(`Redirect URI not allowed: ${message}`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'redirect_uri_not_allowed',
+      redirect_uri: callbackUri,
+      message
+    };
+    throw error;
+  }
 
-        const actionResult = {
-          action: 'update',
-          success: true,
-          message: 'Application updated successfully'
-        };
-        
-        if (warnings.length > 0) {
-          actionResult.warnings = warnings;
-        }
+  const pkceMaterial = await pkce();
+  const state = crypto.randomUUID();
+  const nonce = crypto.randomUUID();
+  const buildAuthorizationUrl = (redirectUri) => createAuthorizationUrl({
+    client_id,
+    redirect_uri: redirectUri,
+    scope: params.scope,
+    provider_hint: params.provider_hint,
+    domain_hint,
+    code_challenge: pkceMaterial.code_challenge,
+    code_challenge_method: 'S256',
+    state,
+    nonce
+  });
+  const callback = await startCallbackServer({
+    expectedState: state,
+    redirectUri: redirect_uri,
+    successPage: 'test-login-success.html',
+    loginPage: null,
+    authorizationUrl: buildAuthorizationUrl
+  });
+  const authorizationUrl = buildAuthorizationUrl(callback.redirectUri);
 
-        return {
-          profile,
-          application: flattenApp(appResult),
-          console_url: generateConsoleUrl(client_id, profile),
-          action_result: actionResult
-        };
-    }
-    
-    case 'create_secret': {
-      sendPlausibleEvent('/tools/call/hello_manage_app/create_secret');
-      if (!client_id) throw new Error('Client ID is required for create_secret action');
-      
-      // Generate hash and salt automatically
-      const salt = crypto.randomUUID();
-      const secret = crypto.randomBytes(32).toString('hex');
-      const hash = crypto.createHash('sha256').update(secret + salt).digest('hex');
-      
-      const secretData = { hash, salt };
-      const secretResult = await apiClient.callAdminAPI('POST', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}/secrets`, secretData);
-      
-              return {
-          profile,
-          client_secret: secret, // Return the raw secret to the user
-          console_url: generateConsoleUrl(client_id, profile),
-          action_result: {
-            action: 'create_secret',
-            success: true,
-            message: 'Client secret created successfully'
-          }
-        };
+  const login = {
+    redirect_uri: callback.redirectUri,
+    scope: params.scope,
+    provider_hint: params.provider_hint,
+    domain_hint: domain_hint || null,
+    authorization_url: authorizationUrl
+  };
+  const result = {
+    profile: readResult.profile,
+    application: { id: app.id, name: app.name },
+    login
+  };
+  const fail = (step, message, details = {}) => ({
+    ...result,
+    action_result: { action: 'test_login', success: false, step, message, ...details }
+  });
+
+  let tokenResponse;
+  try {
+    console.error(`🧪 Test login for ${app.name} - waiting for the callback on ${callback.redirectUri}`);
+    console.error(`🔗 ${authorizationUrl}`);
+    if (open_browser !== false) {
+      open(authorizationUrl).catch(() => console.error('⚠️ Could not open a browser - open the URL above'));
     }
-    
-    case 'update_logo_from_data': {
-      console.log('🔧 Starting update_logo_from_data action');
-      console.log(`   client_id: ${client_id}`);
-      console.log(`   logo_content_type: ${logo_content_type}`);
-      console.log(`   logo_data length: ${logo_data ? logo_data.length : 'undefined'}`);
-      console.log(`   theme: ${theme}`);
-      
-      sendPlausibleEvent('/tools/call/hello_manage_app/update_logo_from_data');
-      if (!client_id) throw new Error('Client ID is required for update_logo_from_data action');
-      if (!logo_data || !logo_content_type) {
-        throw new Error('logo_data and logo_content_type are required for update_logo_from_data action');
-      }
-      
-      // Validate mime type
-      console.log('🔧 Validating MIME type...');
-      const mimeValidation = validateMimeType(logo_content_type);
-      if (!mimeValidation.valid) {
-        console.log(`❌ MIME type validation failed: ${mimeValidation.error}`);
-        throw new Error(mimeValidation.error);
-      }
-      console.log('✅ MIME type validation passed');
-            
-      // Upload the logo using multipart form data
-      console.log('🔧 Starting logo upload...');
-      const uploadResult = await uploadLogoBinary(resolvedTeamId, client_id, logo_data, logo_content_type, apiClient);
-      console.log('✅ Logo upload completed:', uploadResult);
-      
-      // Determine which logo field to update based on theme
-      const logoTheme = theme || 'light';
-      console.log(`🔧 Logo theme: ${logoTheme}`);
-      
-      // Get current application state
-      console.log('🔧 Fetching current application state...');
-      let currentApp;
-      try {
-        currentApp = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`);
-        console.log('✅ Current application fetched');
-      } catch (error) {
-        if (error.message.includes('Resource not found')) {
-          const friendlyError = new Error(`Application not found: The client_id "${client_id}" does not exist or you don't have permission to access it.`);
-          friendlyError.code = -32602; // Invalid params
-          friendlyError.data = {
-            error_type: 'invalid_client_id',
-            client_id: client_id,
-            message: `The application with client_id "${client_id}" was not found. Please check that the client_id is correct and that you have permission to access this application.`
-          };
-          throw friendlyError;
-        }
-        throw error; // Re-throw other errors as-is
-      }
-      
-      // Update the application with the new logo URL in the appropriate field
-      const logoField = logoTheme === 'light' ? 'image_uri' : 'dark_image_uri';
-      console.log(`🔧 Updating ${logoField} with: ${uploadResult.image_uri}`);
-      const updateData = {
-        ...currentApp,
-        [logoField]: uploadResult.image_uri
-      };
-      
-            // Update the application
-      console.log('🔧 Updating application...');
-      const updatedApp = await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`, updateData);
-      console.log('✅ Application updated successfully');
-      
-      // Generate a simple filename for test expectations
-      const extension = logo_content_type === 'image/svg+xml' ? 'svg' : 
-                        logo_content_type === 'image/png' ? 'png' :
-                        logo_content_type === 'image/jpeg' ? 'jpg' : 'png';
-      const generatedFilename = `logo_${Date.now()}.${extension}`;
-
-      console.log('🔧 Preparing response...');
-      const response = {
-        profile,
-        application: flattenApp(updatedApp),
-        console_url: generateConsoleUrl(client_id, profile),
-        upload_result: {
-          ...uploadResult,
-          // Include generated filename in flattened response
-          logo_filename: generatedFilename
-        },
-          action_result: {
-            action: 'update_logo_from_data',
-            success: true,
-            message: `Logo updated successfully from data for ${logoTheme} theme`,
-            logo_url: uploadResult.image_uri,
-            theme: logoTheme
-          }
-        };
-      console.log('✅ update_logo_from_data completed successfully');
-      return response;
+
+    const timeoutMs = Math.min(timeout_seconds || TEST_LOGIN_DEFAULT_TIMEOUT_SECONDS, TEST_LOGIN_MAX_TIMEOUT_SECONDS) * 1000;
+    let code;
+    try {
+      code = await waitForAuthorizationCode(callback.code, timeoutMs);
+    } catch (error) {
+      return fail('authorization', error.message, error.oauth ? { error: error.oauth } : {});
     }
-    
-    case 'update_logo_from_url': {
-      sendPlausibleEvent('/tools/call/hello_manage_app/update_logo_from_url');
-      if (!client_id) throw new Error('Client ID is required for update_logo_from_url action');
-      if (!logo_url) {
-        throw new Error('logo_url is required for update_logo_from_url action');
-      }
-      
-      // Fetch the logo from the URL
-      const logoResponse = await fetch(logo_url);
-      if (!logoResponse.ok) {
-        throw new Error(`Failed to fetch logo from URL: ${logoResponse.status} ${logoResponse.statusText}`);
-      }
-      
-      // Get content type from the response headers
-      const fetchedContentType = logoResponse.headers.get('content-type');
-      if (!fetchedContentType || !fetchedContentType.startsWith('image/')) {
-        throw new Error(`Invalid content type from URL: ${fetchedContentType}. Expected an image.`);
-      }
-      
-      // Convert response to buffer and then to base64
-      const logoBuffer = await logoResponse.arrayBuffer();
-      const logoBase64 = Buffer.from(logoBuffer).toString('base64');
-      
-      // Determine which logo field to update based on theme
-      const logoTheme = theme || 'light';
-      
-      // Upload the logo using uploadLogoBinary
-      const uploadResult = await uploadLogoBinary(
-        resolvedTeamId,
+
+    try {
+      tokenResponse = await exchangeCodeForToken({
+        code,
+        code_verifier: pkceMaterial.code_verifier,
         client_id,
-        logoBase64,
-        fetchedContentType,
-        apiClient
-      );
-      
-      // Get current application state
-      const currentApp = await apiClient.callAdminAPI('GET', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`);
-      
-      // Update the application with the new logo URL in the appropriate field
-      const updateData = {
-        ...currentApp,
-        [logoTheme === 'light' ? 'image_uri' : 'dark_image_uri']: uploadResult.image_uri
-      };
-      
-      // Update the application
-      const updatedApp = await apiClient.callAdminAPI('PUT', `/api/v1/publishers/${resolvedTeamId}/applications/${client_id}`, updateData);
-      
-      // Generate a simple filename for test expectations
-      const extension = fetchedContentType === 'image/svg+xml' ? 'svg' : 
-                        fetchedContentType === 'image/png' ? 'png' :
-                        fetchedContentType === 'image/jpeg' ? 'jpg' : 'png';
-      const generatedFilename = `logo_${Date.now()}.${extension}`;
+        redirect_uri: callback.redirectUri
+      });
+    } catch (error) {
+      return fail('token', error.message);
+    }
+  } finally {
+    await stopCallbackServer(callback.server);
+  }
 
-      return {
-        profile,
-        application: flattenApp(updatedApp),
-        console_url: generateConsoleUrl(client_id, profile),
-        upload_result: {
-          ...uploadResult,
-          logo_filename: generatedFilename
-        },
-        action_result: {
-          action: 'update_logo_from_url',
-          success: true,
-          message: `Logo updated successfully from URL for ${logoTheme} theme`,
-          logo_url: uploadResult.image_uri,
-          theme: logoTheme,
-          fetched_content_type: fetchedContentType
-        }
-      };
+  const decoded = tokenResponse.id_token ? decodeToken(tokenResponse.id_token) : null;
+  if (!decoded) {
+    return fail('id_token', tokenResponse.id_token ? 'The token response has an ID token that cannot be decoded' : 'The token response has no id_token');
+  }
+
+  const checks = checkTokenClaims(decoded.payload, { issuer: HELLO_ISSUER, audience: client_id, nonce });
+  const failed = Object.entries(checks).filter(([, check]) => !check.passed).map(([claim]) => claim);
+  const warnings = [];
+  const missing = missingScopeClaims(decoded.payload, params.scope);
+  if (missing.length > 0) {
+    warnings.push(`Requested scopes did not return ${missing.join(', ')}`);
+  }
+
+  const actionResult = {
+    action: 'test_login',
+    success: failed.length === 0,
+    message: failed.length === 0
+      ? `Logged in to ${app.name} as ${decoded.payload.email || decoded.payload.name || decoded.payload.sub} - the redirect URI and ID token checks passed`
+      : `Logged in to ${app.name}, but the ID token failed the ${failed.join(', ')} check(s)`
+  };
+  if (failed.length > 0) {
+    actionResult.step = 'id_token';
+  }
+  if (warnings.length > 0) {
+    actionResult.warnings = warnings;
+  }
+
+  return {
+    ...result,
+    id_token: {
+      header: decoded.header,
+      claims: decoded.payload
+    },
+    checks,
+    action_result: actionResult
+  };
+}
+
+/**
+ * Parse a JWKS passed to hello_inspect_token
+ * @param {Object|string} jwks - JWKS object or JSON text
+ * @returns {Array<Object>} - Keys
+ * @throws {Error} - JSON-RPC invalid params error if it is not a JWKS
+ */
+function parseJwksArgument(jwks) {
+  let parsed = jwks;
+  if (typeof jwks === 'string') {
+    try {
+      parsed = JSON.parse(jwks);
+    } catch (error) {
+      parsed = null;
     }
-    
-    default: {
-      // This should never be reached since we validate actions upfront
-      throw new Error(`Unexpected action in switch: ${action}`);
+  }
+
+  if (!Array.isArray(parsed?.keys)) {
+    const error = new Error('Invalid JWKS: expected an object with a keys array');
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_jwks',
+      message: 'jwks must be a JSON Web Key Set such as { "keys": [{ "kty": "RSA", "kid": "...", "n": "...", "e": "AQAB" }] }'
+    };
+    throw error;
+  }
+  return parsed.keys;
+}
+
+/**
+ * Verify a token's signature for hello_inspect_token
+ * Uses the supplied JWKS, otherwise the Hellō issuer keys for tokens Hellō issued
+ * @param {string} token - Compact serialized JWT
+ * @param {Object} decoded - { header, payload }
+ * @param {Object|string} jwks - JWKS from the caller (optional)
+ * @returns {Promise<Object>} - { verified, kid, alg, jwks_source, reason }
+ */
+async function inspectTokenSignature(token, decoded, jwks) {
+  const { alg } = decoded.header;
+  if (!alg || alg === 'none' || alg.startsWith('HS')) {
+    // No JWKS key can verify these, so nothing is fetched
+    return { ...verifyTokenSignature(token, decoded.header, []), jwks_source: null };
+  }
+  if (jwks !== undefined) {
+    return { ...verifyTokenSignature(token, decoded.header, parseJwksArgument(jwks)), jwks_source: 'supplied' };
+  }
+
+  if (decoded.payload.iss !== HELLO_ISSUER) {
+    return {
+      verified: null,
+      kid: decoded.header.kid ?? null,
+      alg: decoded.header.alg ?? null,
+      jwks_source: null,
+      reason: `The token was not issued by ${HELLO_ISSUER} - pass the issuer's JWKS as jwks to verify it`
+    };
+  }
+
+  try {
+    let issuerJwks = await getIssuerJwks();
+    let signature = verifyTokenSignature(token, decoded.header, issuerJwks.keys);
+
+    // A key ID missing from cached keys may be a rotated key, so refetch once
+    if (signature.verified === null && issuerJwks.cached && decoded.header.kid) {
+      issuerJwks = await getIssuerJwks({ refresh: true });
+      signature = verifyTokenSignature(token, decoded.header, issuerJwks.keys);
     }
+    return { ...signature, jwks_source: issuerJwks.cached ? 'issuer_cached' : 'issuer' };
+  } catch (error) {
+    return {
+      verified: null,
+      kid: decoded.header.kid ?? null,
+      alg: decoded.header.alg ?? null,
+      jwks_source: 'issuer',
+      reason: error.message
+    };
+  }
+}
+
+/**
+ * Explain a failed claim check
+ * @param {string} claim - Claim that failed
+ * @param {Object} check - { expected, actual }
+ * @param {string} tokenType - 'id_token' or 'access_token'
+ * @returns {string} - What the failure usually means
+ */
+function explainFailedCheck(claim, check, tokenType) {
+  switch (claim) {
+    case 'iss':
+      return `iss is ${JSON.stringify(check.actual)} but Hellō tokens are issued by ${check.expected} - check the token came from Hellō and the environment (HELLO_DOMAIN) matches`;
+    case 'aud':
+      return tokenType === 'id_token'
+        ? `aud is ${JSON.stringify(check.actual)} but client_id is ${check.expected} - the token was issued to a different application`
+        : `aud is ${JSON.stringify(check.actual)} but ${check.expected} was expected - the token is for a different resource`;
+    case 'exp':
+      return check.actual
+        ? `The token expired at ${check.actual} - Hellō tokens are short-lived, so verify them when they arrive rather than storing them`
+        : 'The token has no exp claim';
+    case 'nonce':
+      return check.actual === null
+        ? 'The token has no nonce - send a nonce in the authorization request'
+        : 'nonce does not match - the token belongs to a different login, or the nonce was not kept across the redirect';
+    default:
+      return `${claim} check failed`;
+  }
+}
+
+/**
+ * Handle the token inspector tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Decoded token, claim checks and signature verification
+ */
+async function handleInspectToken(args = {}) {
+  const { token, client_id, nonce, token_type, audience, jwks, verify_signature } = args;
+  sendPlausibleEvent('/tools/call/hello_inspect_token');
+
+  if (!token) {
+    const error = new Error('Missing required parameters: token');
+    error.code = -32602; // Invalid params
+    error.data = {
+      missing_parameters: ['token'],
+      message: 'The parameter token is required to inspect a token.'
+    };
+    throw error;
+  }
+
+  const compact = token.trim().replace(/^bearer\s+/i, '');
+  const decoded = decodeToken(compact);
+  if (!decoded) {
+    const error = new Error('Invalid token: not a JWT');
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_token',
+      message: 'The token could not be decoded. Hellō ID and access tokens are JWTs - three base64url parts separated by dots.'
+    };
+    throw error;
+  }
+
+  const { header, payload } = decoded;
+  const type = token_type || (payload.scope !== undefined || header.typ === 'at+jwt' ? 'access_token' : 'id_token');
+  const checks = checkTokenClaims(payload, {
+    issuer: HELLO_ISSUER,
+    audience: type === 'id_token' ? client_id : (audience || HELLO_AUDIENCE),
+    nonce
+  });
+  const signature = verify_signature === false
+    ? { verified: null, kid: header.kid ?? null, alg: header.alg ?? null, jwks_source: null, reason: 'Not requested' }
+    : await inspectTokenSignature(compact, decoded, jwks);
+
+  const failed = Object.entries(checks).filter(([, check]) => !check.passed);
+  const warnings = failed.map(([claim, check]) => explainFailedCheck(claim, check, type));
+  if (signature.verified === false) {
+    warnings.push(signature.reason);
+  }
+  if (type === 'id_token' && client_id === undefined) {
+    warnings.push('No client_id given, so aud was not checked');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const result = {
+    token: {
+      type,
+      header,
+      claims: payload,
+      issued_at: typeof payload.iat === 'number' ? new Date(payload.iat * 1000).toISOString() : null,
+      expires_at: typeof payload.exp === 'number' ? new Date(payload.exp * 1000).toISOString() : null,
+      expires_in_seconds: typeof payload.exp === 'number' ? payload.exp - now : null
+    },
+    checks,
+    signature
+  };
+
+  // Access tokens for this server go through the same validation as MCP requests
+  if (type === 'access_token') {
+    const validation = validateJWT(compact);
+    result.mcp_access_token = validation.valid
+      ? { accepted: true }
+      : { accepted: false, error: validation.error, error_description: validation.error_description };
+  }
+
+  const problems = [...failed.map(([claim]) => claim), ...(signature.verified === false ? ['signature'] : [])];
+  result.action_result = {
+    action: 'inspect_token',
+    success: problems.length === 0,
+    message: problems.length === 0
+      ? `The ${type === 'id_token' ? 'ID' : 'access'} token passed the ${Object.keys(checks).join(', ')} checks${signature.verified ? ' and its signature verified' : ''}`
+      : `The ${type === 'id_token' ? 'ID' : 'access'} token failed: ${problems.join(', ')}`
+  };
+  if (warnings.length > 0) {
+    result.action_result.warnings = warnings;
+  }
+  return result;
+}
+
+/**
+ * Keep only the arguments a focused app tool declares, so it cannot run more than its own action
+ * @param {string} toolName - Focused app tool name
+ * @param {Object} args - Tool arguments
+ * @param {string} transport - Transport the call came in on
+ * @returns {Object} - Declared arguments, after checking the required ones are present
+ */
+function focusedAppToolArgs(toolName, args = {}, transport) {
+  const tool = getFocusedAppToolDefinitions().find(definition => definition.name === toolName);
+  if (transport === 'stdio' && toolName === 'hello_set_logo') {
+    addLocalLogoSource(tool);
+  }
+
+  const validation = validateRequiredFields(args, tool.inputSchema.required || []);
+  if (!validation.valid) {
+    const error = new Error(`Missing required parameters: ${validation.missing.join(', ')}`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      missing_parameters: validation.missing,
+      message: `The parameters ${validation.missing.join(', ')} are required for ${toolName}.`
+    };
+    throw error;
   }
+
+  return Object.fromEntries(Object.entries(args).filter(([key]) => key in tool.inputSchema.properties));
+}
+
+/**
+ * Handle a focused app tool by running its hello_manage_app action
+ * @param {string} toolName - Focused app tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} apiClient - Admin API client instance
+ * @param {Object} context - Call context, e.g. { transport: 'stdio', getWorkspaceRoots }
+ * @returns {Promise<Object>} - Result of the hello_manage_app action
+ */
+async function handleFocusedAppTool(toolName, args, apiClient, context = {}) {
+  sendPlausibleEvent(`/tools/call/${toolName}`);
+  const toolArgs = focusedAppToolArgs(toolName, args, context.transport);
+  return await handleManageApp({ ...toolArgs, action: FOCUSED_APP_TOOL_ACTIONS[toolName] }, apiClient, context);
 }
 
+/**
+ * Handle hello_set_logo by running the logo action that matches the logo given
+ * @param {Object} args - Tool arguments
+ * @param {Object} apiClient - Admin API client instance
+ * @param {Object} context - Call context, e.g. { transport: 'stdio', getWorkspaceRoots }
+ * @returns {Promise<Object>} - Result of the logo action
+ */
+async function handleSetLogo(args, apiClient, context = {}) {
+  sendPlausibleEvent('/tools/call/hello_set_logo');
+  const toolArgs = focusedAppToolArgs('hello_set_logo', args, context.transport);
+
+  const singleSources = ['logo_data', 'logo_url', 'logo_file'].filter(key => toolArgs[key]);
+  const pairSources = ['light_logo', 'dark_logo'].filter(key => toolArgs[key]);
+  let action = null;
+  if (pairSources.length === 2 && singleSources.length === 0) {
+    action = 'update_logos';
+  } else if (pairSources.length === 0 && singleSources.length === 1) {
+    action = { logo_data: 'update_logo_from_data', logo_url: 'update_logo_from_url', logo_file: 'update_logo_from_file' }[singleSources[0]];
+  }
+
+  if (!action) {
+    const error = new Error('hello_set_logo needs exactly one of logo_data, logo_url or logo_file, or both light_logo and dark_logo');
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_logo_input',
+      received: [...singleSources, ...pairSources],
+      message: context.transport === 'stdio'
+        ? 'Give one logo as logo_data with logo_content_type, logo_url or logo_file, or give both light_logo and dark_logo.'
+        : 'Give one logo as logo_data with logo_content_type or logo_url, or give both light_logo and dark_logo.'
+    };
+    throw error;
+  }
+  if (action === 'update_logo_from_data' && !toolArgs.logo_content_type) {
+    const error = new Error('Missing required parameters: logo_content_type');
+    error.code = -32602; // Invalid params
+    error.data = {
+      missing_parameters: ['logo_content_type'],
+      message: 'The parameter logo_content_type is required with logo_data.'
+    };
+    throw error;
+  }
 
+  return await handleManageApp({ ...toolArgs, action }, apiClient, context);
+}
 
 /**
  * Handle tool execution
@@ -781,23 +4041,163 @@ async function handleManageApp(args, apiClient) {
  * @param {Object} args - Tool arguments
  * @param {Object} apiClient - Admin API client instance
  * @param {Object} authManager - Authentication manager instance
+ * @param {Object} context - Call context, e.g. { transport: 'stdio' }
  * @returns {Promise<Object>} - Tool execution result
  */
-export async function handleToolCall(toolName, args, apiClient, authManager) {
+export async function handleToolCall(toolName, args, apiClient, authManager, context = {}) {
   let result;
+  const verbosity = resolveVerbosity(args?.verbosity);
   
   switch (toolName) {
+    case 'hello_get_profile':
+    case 'hello_read_app':
+    case 'hello_create_app':
+    case 'hello_update_app':
+    case 'hello_create_secret': {
+      result = await handleFocusedAppTool(toolName, args, apiClient, context);
+      break;
+    }
+
+    case 'hello_set_logo': {
+      result = await handleSetLogo(args, apiClient, context);
+      break;
+    }
+
     case 'hello_manage_app': {
-      result = await handleManageApp(args, apiClient);
+      result = await handleManageApp(args, apiClient, context);
+      break;
+    }
+
+    case 'hello_manage_team': {
+      result = await handleManageTeam(args, apiClient);
+      break;
+    }
+
+    case 'hello_sync_manifest': {
+      result = await handleSyncManifest(args, apiClient, context);
+      break;
+    }
+
+    case 'hello_write_env': {
+      result = await handleWriteEnv(args, apiClient, context);
+      break;
+    }
+
+    case 'hello_test_login': {
+      result = await handleTestLogin(args, apiClient, context.transport);
       break;
     }
 
+    case 'hello_inspect_token': {
+      result = await handleInspectToken(args);
+      break;
+    }
+
+    case 'hello_generate_login_button': {
+      result = await handleGenerateLoginButton(args, apiClient);
+      break;
+    }
+
+    case 'hello_generate_legal_docs': {
+      // Returns the markdown documents as text rather than a summary
+      return await handleGenerateLegalDocs(args);
+    }
+
     default:
       throw new Error(`Unknown tool: ${toolName}`);
   }
   
+  result = applyVerbosity(result, verbosity);
+
   // Format all tool responses consistently for MCP
-  return createMCPContent(result);
+  // At full verbosity the text is the result as JSON, for clients that do not read structuredContent; otherwise a short summary
+  return createMCPContent(result, {
+    summary: verbosity === 'full' ? undefined : summarizeResult(result),
+    extraContent: result?.[LOGO_PREVIEW_CONTENT]
+  });
+}
+
+/**
+ * Pick the verbosity for a call, checking the argument before any API calls
+ * @param {string} requested - verbosity argument (optional)
+ * @returns {string} - minimal, standard or full
+ */
+function resolveVerbosity(requested) {
+  if (requested === undefined || requested === null) {
+    return HELLO_RESPONSE_VERBOSITY;
+  }
+  if (!RESPONSE_VERBOSITY_LEVELS.includes(requested)) {
+    const error = new Error(`Invalid verbosity: "${requested}"`);
+    error.code = -32602; // Invalid params
+    error.data = {
+      error_type: 'invalid_verbosity',
+      supported_verbosity: RESPONSE_VERBOSITY_LEVELS,
+      message: `Use one of ${RESPONSE_VERBOSITY_LEVELS.join(', ')}.`
+    };
+    throw error;
+  }
+  return requested;
+}
+
+/**
+ * Trim the developer profile in a tool result to the verbosity asked for
+ * @param {Object} result - Tool result
+ * @param {string} verbosity - minimal, standard or full
+ * @returns {Object} - Result with the profile trimmed, or left out when minimal and something else was asked about
+ */
+function applyVerbosity(result, verbosity) {
+  if (verbosity === 'full' || !result?.profile) {
+    return result;
+  }
+
+  // A profile read has nothing but the profile to return, so minimal trims it like standard
+  const profileOnly = !result.application && !result.team && !result.teams && result.action_result?.action === 'read';
+  if (verbosity === 'minimal' && !profileOnly) {
+    // Spreading keeps the logo preview images, which sit on an enumerable symbol key
+    const { profile, ...rest } = result;
+    return rest;
+  }
+
+  const { user, defaultTeam, teams, applications, error } = result.profile;
+  const profile = {
+    user,
+    defaultTeam,
+    teams: (teams || []).map(({ id, name, role }) => ({ id, name, role })),
+    applications: (applications || []).map(({ id, name }) => ({ id, name }))
+  };
+  if (error) {
+    profile.error = error;
+  }
+  return { ...result, profile };
+}
+
+/**
+ * Write the short text that goes with a tool's structuredContent
+ * @param {Object} result - Tool result
+ * @returns {string} - Outcome, application, console link, new secret and warnings, one per line
+ */
+function summarizeResult(result) {
+  const actionResult = result.action_result || {};
+  const outcome = actionResult.success === false ? `${actionResult.action} failed` : actionResult.action;
+  const lines = [`${outcome}: ${actionResult.message || 'done'}`];
+
+  if (actionResult.dry_run) {
+    lines.push('Dry run - nothing was changed');
+  }
+  if (result.application?.id) {
+    lines.push(`Application: ${result.application.name} (${result.application.id})`);
+  }
+  if (result.console_url) {
+    lines.push(`Console: ${result.console_url}`);
+  }
+  // The secret cannot be read back, so it is never left to the structured result alone
+  if (result.client_secret) {
+    lines.push(`Client secret: ${result.client_secret} - store it now, it is not shown again`);
+  }
+  for (const warning of actionResult.warnings || []) {
+    lines.push(`Warning: ${warning}`);
+  }
+  return lines.join('\n');
 }
 
 /**
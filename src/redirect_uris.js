@@ -0,0 +1,141 @@
+// Redirect URI linter
+// Flags redirect URIs that will not match as intended or weaken an application's OAuth configuration
+
+// Schemes never accepted for production redirects
+const INSECURE_PROD_SCHEMES = ['http:', 'ftp:', 'file:', 'data:', 'javascript:'];
+
+/**
+ * Build a lint finding
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} code - Stable rule identifier
+ * @param {string} environment - 'dev' or 'prod'
+ * @param {string} uri - The redirect URI the finding is about
+ * @param {string} message - Human readable explanation
+ * @returns {Object} - Lint finding
+ */
+function finding(severity, code, environment, uri, message) {
+  return { severity, code, environment, uri, message };
+}
+
+/**
+ * Get the host exactly as written in a URI, before URL parsing lowercases it
+ * @param {string} uri - Redirect URI
+ * @returns {string} - Raw host, or '' if the URI has no authority
+ */
+function rawHost(uri) {
+  const match = uri.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^/?#@]*@)?(\[[^\]]*\]|[^/?#:]*)/i);
+  return match ? match[1] : '';
+}
+
+/**
+ * Check whether a parsed hostname is a loopback address
+ * @param {string} hostname - Hostname from URL parsing
+ * @returns {boolean} - True for localhost, 127.0.0.0/8 and ::1
+ */
+function isLoopbackHost(hostname) {
+  return hostname === 'localhost' || hostname === '[::1]' || /^127\.\d+\.\d+\.\d+$/.test(hostname);
+}
+
+/**
+ * Check whether a parsed hostname is an IP address literal
+ * @param {string} hostname - Hostname from URL parsing
+ * @returns {boolean} - True for IPv4 and bracketed IPv6 hosts
+ */
+function isIpLiteral(hostname) {
+  return hostname.startsWith('[') || /^\d+\.\d+\.\d+\.\d+$/.test(hostname);
+}
+
+/**
+ * Lint a single redirect URI
+ * @param {string} uri - Redirect URI
+ * @param {string} environment - 'dev' or 'prod'
+ * @param {Object} devFlags - Development flags ({ localhost, loopbackIp })
+ * @returns {Array<Object>} - Lint findings
+ */
+function lintRedirectUri(uri, environment, devFlags) {
+  const isProduction = environment === 'prod';
+  const findings = [];
+
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return [finding('error', 'invalid_uri', environment, uri, 'Not a valid absolute URI')];
+  }
+
+  if (uri.includes('#')) {
+    findings.push(finding('error', 'fragment', environment, uri, 'Redirect URIs must not contain a fragment (#) - OAuth forbids them'));
+  }
+
+  if (isProduction && INSECURE_PROD_SCHEMES.includes(url.protocol)) {
+    findings.push(finding('error', 'insecure_scheme', environment, uri, `The ${url.protocol} scheme is not allowed for production redirects - use https`));
+  }
+
+  if (url.search) {
+    findings.push(finding('warning', 'query_string', environment, uri, 'Query strings must match exactly on every request - move state into the state parameter'));
+  }
+
+  // Host checks only apply to web redirects - custom schemes name an app, not a host
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return findings;
+  }
+
+  const host = rawHost(uri);
+  if (host.includes('*')) {
+    findings.push(isProduction
+      ? finding('error', 'wildcard_host', environment, uri, 'Wildcard hosts are not allowed in production redirect URIs')
+      : finding('warning', 'wildcard_host', environment, uri, 'Wildcard hosts are not matched in redirect URIs - set dev_wildcard instead'));
+  }
+
+  if (/[A-Z]/.test(host)) {
+    findings.push(finding('warning', 'uppercase_host', environment, uri, `Hosts are case-insensitive but redirect URIs are compared exactly - use ${url.hostname}`));
+  }
+
+  if (isLoopbackHost(url.hostname)) {
+    if (isProduction) {
+      findings.push(finding('error', 'loopback_in_production', environment, uri, 'localhost and loopback addresses do not belong in production - use the dev_localhost / dev_127_0_0_1 flags'));
+    } else if (url.hostname === 'localhost' && devFlags.localhost) {
+      findings.push(finding('warning', 'covered_by_dev_flag', environment, uri, 'Already allowed by dev_localhost - this URI can be removed'));
+    } else if (url.hostname === '127.0.0.1' && devFlags.loopbackIp) {
+      findings.push(finding('warning', 'covered_by_dev_flag', environment, uri, 'Already allowed by dev_127_0_0_1 - this URI can be removed'));
+    }
+  } else if (isIpLiteral(url.hostname)) {
+    findings.push(finding('warning', 'ip_literal', environment, uri, 'IP address hosts break when the address changes - use a domain name'));
+  }
+
+  return findings;
+}
+
+/**
+ * Lint development and production redirect URIs
+ * @param {Object} options - URIs to lint
+ * @param {Array<string>} options.devUris - Development redirect URIs
+ * @param {Array<string>} options.prodUris - Production redirect URIs
+ * @param {boolean} options.devLocalhost - Whether dev_localhost is enabled
+ * @param {boolean} options.dev127 - Whether dev_127_0_0_1 is enabled
+ * @returns {Object} - Findings split into errors and warnings
+ */
+export function lintRedirectUris({ devUris = [], prodUris = [], devLocalhost = false, dev127 = false }) {
+  const findings = [];
+
+  for (const [environment, uris] of [['dev', devUris], ['prod', prodUris]]) {
+    const uriSet = new Set(uris);
+    for (const uri of uris) {
+      if (!uri || typeof uri !== 'string') {
+        findings.push(finding('error', 'invalid_uri', environment, String(uri), 'Not a valid absolute URI'));
+        continue;
+      }
+
+      findings.push(...lintRedirectUri(uri, environment, { localhost: devLocalhost, loopbackIp: dev127 }));
+
+      if (uri.endsWith('/') && uriSet.has(uri.slice(0, -1))) {
+        findings.push(finding('warning', 'trailing_slash_duplicate', environment, uri, `Duplicates ${uri.slice(0, -1)} apart from the trailing slash - keep the one your app sends`));
+      }
+    }
+  }
+
+  return {
+    errors: findings.filter(item => item.severity === 'error'),
+    warnings: findings.filter(item => item.severity === 'warning')
+  };
+}
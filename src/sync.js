@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+// Manifest sync CLI
+// Plans or applies a hello.app.json / hello.app.yaml manifest against the Admin API
+//
+// Usage: hello-app-sync [manifest] [--env <name>] [--apply] [--force-logo-upload] [--json]
+// Requires HELLO_ACCESS_TOKEN (see npm run get-token)
+
+import { parseArgs } from 'util';
+import { AuthManager } from './auth_manager.js';
+import { AdminAPIClient } from './api_client.js';
+import { syncManifest } from './mcp_tools.js';
+import { loadManifest, findManifest, DEFAULT_MANIFEST_FILES } from './manifest.js';
+
+// Keep tool and API logging off stdout so the plan can be piped
+const print = console.log;
+console.log = console.error;
+
+const USAGE = `Usage: hello-app-sync [manifest] [options]
+
+Plans changes needed to make a Hellō application match a manifest, and applies them with --apply.
+
+Arguments:
+  manifest                 Manifest file (default: ${DEFAULT_MANIFEST_FILES.join(', ')} in the current directory)
+
+Options:
+  -e, --env <name>         Apply overrides from the manifest environments section
+  --apply                  Apply the plan (default: only show it)
+  --force-logo-upload      Upload logos even when the live logo cannot be compared
+  --json                   Print the full result as JSON
+  -h, --help               Show this help
+
+Environment:
+  HELLO_ACCESS_TOKEN       Admin API access token (get one with npm run get-token)`;
+
+/**
+ * Format a value for the plan output
+ * @param {*} value - Field value
+ * @returns {string} - Printable value
+ */
+function formatValue(value) {
+  return value === null || value === undefined ? '(unset)' : JSON.stringify(value);
+}
+
+/**
+ * Render a sync plan as text
+ * @param {Object} result - Result from syncManifest
+ * @returns {string} - Human readable plan
+ */
+function formatPlan(result) {
+  const { plan, action_result: actionResult } = result;
+  const lines = [];
+
+  const target = plan.client_id ? `application ${plan.client_id}` : 'new application';
+  lines.push(`${plan.operation === 'create' ? '✨ Create' : '🔧 Update'} ${target}${plan.environment ? ` (${plan.environment})` : ''}`);
+
+  for (const [field, change] of Object.entries(plan.changes)) {
+    if (change.added || change.removed) {
+      for (const uri of change.added || []) lines.push(`  + ${field}: ${uri}`);
+      for (const uri of change.removed || []) lines.push(`  - ${field}: ${uri}`);
+    } else {
+      lines.push(`  ~ ${field}: ${formatValue(change.old)} → ${formatValue(change.new)}`);
+    }
+  }
+
+  for (const logo of plan.logos) {
+    const marker = logo.operation === 'upload' ? '~' : ' ';
+    lines.push(`  ${marker} ${logo.field}: ${logo.operation} ${logo.file} (${logo.reason})`);
+  }
+
+  for (const warning of plan.warnings) {
+    lines.push(`⚠️  ${warning}`);
+  }
+
+  for (const item of [...(plan.redirect_uri_lint?.errors || []), ...(plan.redirect_uri_lint?.warnings || [])]) {
+    lines.push(`${item.severity === 'error' ? '❌' : '⚠️ '} ${item.environment} ${item.uri}: ${item.message}`);
+  }
+
+  lines.push(`${actionResult.applied ? '✅' : '📋'} ${actionResult.message}`);
+  if (result.application?.id) {
+    lines.push(`   client_id: ${result.application.id}`);
+  }
+
+  return lines.join('\n');
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      env: { type: 'string', short: 'e' },
+      apply: { type: 'boolean', default: false },
+      'force-logo-upload': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    print(USAGE);
+    return;
+  }
+
+  const manifestPath = positionals[0] || findManifest();
+  if (!manifestPath) {
+    throw new Error(`No manifest found - create one of ${DEFAULT_MANIFEST_FILES.join(', ')} or pass a path`);
+  }
+
+  const authManager = new AuthManager();
+  if (!authManager.getAccessToken()) {
+    throw new Error('HELLO_ACCESS_TOKEN is not set - get a token with npm run get-token');
+  }
+  const apiClient = new AdminAPIClient(authManager);
+
+  const { manifest, baseDir } = loadManifest(manifestPath);
+  const result = await syncManifest({
+    manifest,
+    baseDir,
+    environment: values.env,
+    apply: values.apply,
+    forceLogoUpload: values['force-logo-upload']
+  }, apiClient);
+
+  print(values.json ? JSON.stringify(result, null, 2) : formatPlan(result));
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.data?.message || error.message}`);
+  process.exit(1);
+});
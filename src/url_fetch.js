@@ -0,0 +1,209 @@
+// Hardened URL fetching
+// Fetches user-supplied URLs from the server without reaching internal networks or reading unbounded responses
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { HELLO_FETCH_ALLOWED_HOSTS } from './config.js';
+
+export const URL_FETCH_TIMEOUT_MS = 10000;
+export const URL_FETCH_MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, and 6to4 (2002::/16), which wraps an IPv4 address
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Create an invalid params error for a URL that could not be fetched
+ * @param {string} message - Error message
+ * @param {string} errorType - 'url_blocked' for policy violations, 'url_fetch_failed' otherwise
+ * @param {string} url - URL being fetched
+ * @returns {Error} - Error with JSON-RPC code and data
+ */
+function fetchError(message, errorType, url) {
+  const error = new Error(message);
+  error.code = -32602; // Invalid params
+  error.data = {
+    error_type: errorType,
+    url,
+    message
+  };
+  return error;
+}
+
+/**
+ * Check whether an IP address is in a range the server must not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is blocked
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+
+  // IPv4-mapped IPv6 addresses reach the IPv4 host
+  const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup that refuses blocked addresses, so the check applies to the address actually connected to
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - Lookup options from http/https
+ * @param {Function} callback - Lookup callback
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      const blockedError = new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`);
+      blockedError.blockedAddress = true;
+      callback(blockedError);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Make one GET request without following redirects
+ * @param {URL} url - URL to request
+ * @param {Object} limits - maxBytes and the deadline in milliseconds since the epoch
+ * @returns {Promise<Object>} - Status, headers and body
+ */
+function requestOnce(url, { maxBytes, deadline, checkAddresses }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      lookup: checkAddresses ? safeLookup : undefined,
+      headers: { 'User-Agent': 'hello-admin-mcp', Accept: 'image/*' }
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(fetchError(`Timed out fetching ${url.href}`, 'url_fetch_failed', url.href));
+    }, Math.max(deadline - Date.now(), 0));
+
+    request.on('response', (response) => {
+      if (response.statusCode >= 300 && response.statusCode < 400) {
+        response.resume();
+        clearTimeout(timer);
+        resolve({ status: response.statusCode, headers: response.headers, body: null });
+        return;
+      }
+
+      const declaredLength = Number(response.headers['content-length']);
+      if (declaredLength > maxBytes) {
+        request.destroy(fetchError(`Response from ${url.href} is ${declaredLength} bytes - the limit is ${maxBytes} bytes`, 'url_fetch_failed', url.href));
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          request.destroy(fetchError(`Response from ${url.href} is larger than ${maxBytes} bytes`, 'url_fetch_failed', url.href));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve({ status: response.statusCode, statusText: response.statusMessage, headers: response.headers, body: Buffer.concat(chunks) });
+      });
+      response.on('error', () => {});
+    });
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      if (error.data) {
+        reject(error);
+      } else if (error.blockedAddress) {
+        reject(fetchError(error.message, 'url_blocked', url.href));
+      } else {
+        reject(fetchError(`Failed to fetch ${url.href}: ${error.message}`, 'url_fetch_failed', url.href));
+      }
+    });
+  });
+}
+
+/**
+ * Fetch a user-supplied URL from the server
+ * Only http and https are allowed, hosts must resolve to public addresses (checked again for every redirect),
+ * and redirects, response size and total time are capped
+ * @param {string} urlString - URL to fetch
+ * @param {Object} options - Limits
+ * @param {number} options.maxBytes - Largest response body accepted
+ * @param {number} options.timeoutMs - Time allowed for the whole fetch, including redirects
+ * @param {number} options.maxRedirects - Redirects followed before giving up
+ * @returns {Promise<Object>} - Body, content type and the final URL
+ */
+export async function fetchPublicUrl(urlString, { maxBytes, timeoutMs = URL_FETCH_TIMEOUT_MS, maxRedirects = URL_FETCH_MAX_REDIRECTS }) {
+  const deadline = Date.now() + timeoutMs;
+  let url;
+  try {
+    url = new URL(urlString);
+  } catch (error) {
+    throw fetchError(`Not a valid URL: ${urlString}`, 'url_blocked', urlString);
+  }
+
+  for (let redirects = 0; ; redirects++) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw fetchError(`Only http and https URLs can be fetched, not ${url.protocol}`, 'url_blocked', url.href);
+    }
+
+    // Hosts allowed by configuration (e.g. a local test server) skip the address check
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const checkAddresses = !HELLO_FETCH_ALLOWED_HOSTS.includes(hostname.toLowerCase());
+
+    // Literal IP addresses are connected to without a lookup, so check them here
+    if (checkAddresses && net.isIP(hostname) && isBlockedAddress(hostname)) {
+      throw fetchError(`${hostname} is not a public address`, 'url_blocked', url.href);
+    }
+
+    const response = await requestOnce(url, { maxBytes, deadline, checkAddresses });
+
+    if (response.body !== null) {
+      if (response.status < 200 || response.status >= 300) {
+        throw fetchError(`Failed to fetch ${url.href}: ${response.status} ${response.statusText || ''}`.trim(), 'url_fetch_failed', url.href);
+      }
+      return { body: response.body, contentType: response.headers['content-type'] || null, url: url.href };
+    }
+
+    if (!response.headers.location) {
+      throw fetchError(`Redirect from ${url.href} has no location`, 'url_fetch_failed', url.href);
+    }
+    if (redirects >= maxRedirects) {
+      throw fetchError(`Too many redirects fetching ${urlString} - at most ${maxRedirects} are followed`, 'url_blocked', url.href);
+    }
+    url = new URL(response.headers.location, url);
+  }
+}
@@ -1,6 +1,9 @@
 // Utility functions for MCP server
 // Contains validation helpers, image processing, and common utilities
 
+import fs from 'fs';
+import path from 'path';
+
 // Supported mimetypes - must match Admin API fileExtensions
 export const SUPPORTED_MIMETYPES = [
   'image/png',
@@ -83,6 +86,400 @@ export function createDataUrl(base64Data, mimeType) {
   return `data:${mimeType};base64,${cleanBase64}`;
 }
 
+// Logos are shown scaled to fit this box - see the supported logo formats resource
+export const MAX_LOGO_SIZE_BYTES = 100 * 1024;
+export const LOGO_DISPLAY_BOX = { width: 400, height: 100 };
+
+// Declared content types accepted for each sniffed format
+const COMPATIBLE_MIMETYPES = {
+  'image/png': ['image/png', 'image/apng'],
+  'image/jpeg': ['image/jpeg'],
+  'image/gif': ['image/gif'],
+  'image/webp': ['image/webp'],
+  'image/svg+xml': ['image/svg+xml']
+};
+
+/**
+ * Detect the real image format from the leading bytes of a file
+ * @param {Buffer} buffer - Decoded image data
+ * @returns {string|null} - Sniffed MIME type or null if the format is not supported
+ */
+export function sniffImageType(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  const header = buffer.subarray(0, 12).toString('latin1');
+  if (header.startsWith('GIF87a') || header.startsWith('GIF89a')) {
+    return 'image/gif';
+  }
+  if (header.startsWith('RIFF') && header.slice(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+
+  // SVG is text - skip a BOM, the XML declaration, comments and a doctype before the root element
+  const text = buffer.subarray(0, 64 * 1024).toString('utf8')
+    .replace(/^\uFEFF/, '')
+    .replace(/^(\s|<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)*/i, '');
+  if (/^<svg[\s>]/i.test(text)) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+}
+
+/**
+ * Read an SVG length attribute in user units
+ * @param {string} tag - The opening <svg> tag
+ * @param {string} name - Attribute name
+ * @returns {number|null} - Length, or null if missing or relative (%, em)
+ */
+function svgLength(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)\\s*(px)?\\s*["']`, 'i'));
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Read the pixel dimensions of an image
+ * @param {Buffer} buffer - Decoded image data
+ * @param {string} mimeType - Sniffed MIME type
+ * @returns {Object|null} - { width, height } or null if they cannot be read
+ */
+export function readImageDimensions(buffer, mimeType) {
+  switch (mimeType) {
+    case 'image/png':
+      // IHDR is always the first chunk
+      return buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null;
+
+    case 'image/gif':
+      return buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : null;
+
+    case 'image/jpeg': {
+      // Walk the marker segments to the first start-of-frame (SOF0-SOF15, except DHT/JPG/DAC)
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+          offset++;
+          continue;
+        }
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+      return null;
+    }
+
+    case 'image/webp': {
+      if (buffer.length < 30) return null;
+      const chunk = buffer.subarray(12, 16).toString('latin1');
+      if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+      return null;
+    }
+
+    case 'image/svg+xml': {
+      const tag = buffer.toString('utf8').match(/<svg[^>]*>/i)?.[0];
+      if (!tag) return null;
+      const width = svgLength(tag, 'width');
+      const height = svgLength(tag, 'height');
+      if (width && height) {
+        return { width, height };
+      }
+      const viewBox = tag.match(/\sviewBox\s*=\s*["']([^"']+)["']/i)?.[1].trim().split(/[\s,]+/).map(Number);
+      if (viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        return { width: viewBox[2], height: viewBox[3] };
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Elements removed from SVG logos along with their content
+const SVG_REMOVED_ELEMENTS = {
+  script: 'script',
+  foreignObject: 'foreign_object',
+  iframe: 'foreign_object',
+  embed: 'foreign_object',
+  object: 'foreign_object'
+};
+
+// Embedded raster images an SVG logo may keep - anything else in an href is an external reference
+const SVG_SAFE_HREF = /^\s*(#|data:image\/(png|jpeg|gif|webp);base64,)/i;
+
+// An opening or self-closing tag, with attribute values that may contain '>'
+const SVG_TAG_PATTERN = /<([a-zA-Z][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+const SVG_ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+
+/**
+ * Remove url() references to anything outside the document from CSS or a presentation attribute
+ * @param {string} css - CSS text or attribute value
+ * @returns {string} - Text with external url() values replaced by none
+ */
+function stripExternalCssUrls(css) {
+  return css.replace(/url\(\s*(['"]?)(?!#)[^)]*\)/gi, 'none');
+}
+
+/**
+ * Decode CSS escapes, so @im\\port and u\\rl( are seen for what they are
+ * @param {string} css - CSS text or attribute value
+ * @returns {string} - Text with escapes replaced by the characters they stand for
+ */
+function unescapeCss(css) {
+  return css
+    .replace(/\\([0-9a-fA-F]{1,6})\s?/g, (match, hex) => {
+      const codePoint = parseInt(hex, 16);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd';
+    })
+    .replace(/\\([^\n])/g, '$1');
+}
+
+/**
+ * Match an element by local name, whatever namespace prefix it is written with
+ * @param {string} element - Local element name
+ * @returns {string} - Regular expression source for the element name
+ */
+function anyPrefix(element) {
+  return `(?:[\\w.-]+:)?${element}`;
+}
+
+/**
+ * Find active content left in an SVG - anything here means the logo must not be uploaded
+ * @param {string} svgText - SVG document, normally after sanitizeSvg
+ * @returns {Array<string>} - What was found, empty when the SVG is inert
+ */
+export function findActiveSvgContent(svgText) {
+  const found = [];
+  const elements = Object.keys(SVG_REMOVED_ELEMENTS).map(anyPrefix).join('|');
+  if (new RegExp(`<(${elements})\\b`, 'i').test(svgText)) {
+    found.push('script or embedded document element');
+  }
+  if (/<!(DOCTYPE|ENTITY)/i.test(svgText)) {
+    found.push('doctype or entity declaration');
+  }
+  if (/<\?(?!xml\s)/i.test(svgText)) {
+    found.push('processing instruction');
+  }
+  if (/\s(?:[\w.-]+:)?on[a-z]+\s*=/i.test(svgText)) {
+    found.push('event handler attribute');
+  }
+  if (/javascript:/i.test(svgText)) {
+    found.push('javascript: URL');
+  }
+  if (/@import/i.test(unescapeCss(svgText))) {
+    found.push('CSS @import');
+  }
+  return found;
+}
+
+/**
+ * Normalize the viewBox of the root <svg> element so the logo scales consistently
+ * @param {Object} attributes - Root element attributes, keyed by name
+ * @returns {string|null} - Normalized viewBox, or null if none can be derived
+ */
+function normalizeViewBox(attributes) {
+  const viewBox = attributes.viewBox?.trim().split(/[\s,]+/).map(Number);
+  if (viewBox?.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    return viewBox.join(' ');
+  }
+
+  // Fall back to the width and height in user units
+  const width = /^\s*([\d.]+)\s*(px)?\s*$/i.exec(attributes.width || '')?.[1];
+  const height = /^\s*([\d.]+)\s*(px)?\s*$/i.exec(attributes.height || '')?.[1];
+  if (Number(width) > 0 && Number(height) > 0) {
+    return `0 0 ${Number(width)} ${Number(height)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Sanitize an SVG logo before upload
+ * Removes scripts, event handlers, external references and foreign objects, and normalizes the root viewBox.
+ * Check the result with findActiveSvgContent before uploading it.
+ * @param {string} svgText - SVG document
+ * @returns {Object} - Sanitized SVG with a report of what was removed and normalized
+ */
+export function sanitizeSvg(svgText) {
+  const removed = [];
+  const normalized = [];
+  let svg = svgText;
+
+  // Removing one element can join the text around it into another, e.g. <scr<script></script>ipt>,
+  // so removal is repeated until nothing changes
+  let previous;
+  do {
+    previous = svg;
+
+    // Doctypes can declare entities, and processing instructions can pull in stylesheets
+    svg = svg.replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, (match) => {
+      removed.push({ type: 'doctype', detail: match.slice(0, 80) });
+      return '';
+    });
+    svg = svg.replace(/<\?(?!xml\s)[\s\S]*?\?>/gi, (match) => {
+      removed.push({ type: 'processing_instruction', detail: match.slice(0, 80) });
+      return '';
+    });
+
+    // Elements that run code or embed other documents, with their content, matched on local name so a prefix does not hide them
+    for (const [element, type] of Object.entries(SVG_REMOVED_ELEMENTS)) {
+      const pattern = new RegExp(`<(${anyPrefix(element)})\\b[^>]*?(\\/>|>[\\s\\S]*?<\\/\\1\\s*>)`, 'gi');
+      svg = svg.replace(pattern, (match, name) => {
+        removed.push({ type, detail: `<${name}>` });
+        return '';
+      });
+    }
+
+    // Animations that rewrite a link can turn it into javascript:
+    svg = svg.replace(/<((?:[\w.-]+:)?(?:set|animate))\b[^>]*attributeName\s*=\s*["'](xlink:)?href["'][^>]*?(\/>|>[\s\S]*?<\/\1\s*>)/gi, (match, element) => {
+      removed.push({ type: 'animation', detail: `<${element}> of href` });
+      return '';
+    });
+
+    // Style sheets may import or reference external resources, possibly hidden behind CSS escapes
+    svg = svg.replace(/(<((?:[\w.-]+:)?style)\b[^>]*>)([\s\S]*?)(<\/\2\s*>)/gi, (match, open, name, css, close) => {
+      const plain = unescapeCss(css);
+      const cleaned = stripExternalCssUrls(plain.replace(/@import[^;]*;?/gi, ''));
+      if (cleaned === plain) {
+        return match;
+      }
+      removed.push({ type: 'external_reference', detail: '<style> @import or url()' });
+      return open + cleaned + close;
+    });
+  } while (svg !== previous);
+
+  let rootSeen = false;
+  svg = svg.replace(SVG_TAG_PATTERN, (match, tagName, attributeText, selfClosing) => {
+    const attributes = [];
+    const changesBefore = removed.length + normalized.length;
+    for (const [, name, rawValue] of attributeText.matchAll(SVG_ATTRIBUTE_PATTERN)) {
+      const value = rawValue === undefined ? null : rawValue.replace(/^["']|["']$/g, '');
+
+      if (/^on/i.test(name.split(':').pop())) {
+        removed.push({ type: 'event_handler', detail: `${name} on <${tagName}>` });
+        continue;
+      }
+      if (/(^|:)href$/i.test(name) && value !== null && !SVG_SAFE_HREF.test(value)) {
+        removed.push({ type: 'external_reference', detail: `${name}="${value.slice(0, 80)}" on <${tagName}>` });
+        continue;
+      }
+      if (value !== null && /url\(/i.test(unescapeCss(value))) {
+        const cleaned = stripExternalCssUrls(unescapeCss(value));
+        if (cleaned !== unescapeCss(value)) {
+          removed.push({ type: 'external_reference', detail: `url() in ${name} on <${tagName}>` });
+          attributes.push([name, cleaned]);
+          continue;
+        }
+      }
+      attributes.push([name, value]);
+    }
+
+    // Only the first <svg> is the root element
+    if (tagName.toLowerCase() === 'svg' && !rootSeen) {
+      rootSeen = true;
+      const byName = Object.fromEntries(attributes);
+      const viewBox = normalizeViewBox(byName);
+      const index = attributes.findIndex(([name]) => name === 'viewBox');
+
+      if (viewBox && byName.viewBox !== viewBox) {
+        normalized.push(byName.viewBox === undefined ? `Added viewBox="${viewBox}"` : `viewBox "${byName.viewBox}" → "${viewBox}"`);
+        if (index === -1) {
+          attributes.push(['viewBox', viewBox]);
+        } else {
+          attributes[index][1] = viewBox;
+        }
+      } else if (!viewBox && index !== -1) {
+        normalized.push(`Removed invalid viewBox="${byName.viewBox}"`);
+        attributes.splice(index, 1);
+      }
+
+      // Without the namespace the file does not render as an image
+      if (byName.xmlns === undefined) {
+        normalized.push('Added xmlns="http://www.w3.org/2000/svg"');
+        attributes.unshift(['xmlns', 'http://www.w3.org/2000/svg']);
+      }
+    }
+
+    // Leave tags that needed no changes exactly as written
+    if (removed.length + normalized.length === changesBefore) {
+      return match;
+    }
+
+    const rebuilt = attributes.map(([name, value]) => (value === null ? name : `${name}="${value.replace(/"/g, '&quot;')}"`)).join(' ');
+    return `<${tagName}${rebuilt ? ` ${rebuilt}` : ''}${selfClosing ? '/' : ''}>`;
+  });
+
+  const modified = removed.length > 0 || normalized.length > 0;
+  return { svg: modified ? svg : svgText, modified, removed, normalized };
+}
+
+/**
+ * Check decoded logo data against its declared content type, the size limit and the display box
+ * @param {Buffer} buffer - Decoded logo data
+ * @param {string} declaredType - Content type given for the logo
+ * @returns {Object} - Validation result with errors, warnings and the logo's format, size and dimensions
+ */
+export function inspectLogoImage(buffer, declaredType) {
+  const errors = [];
+  const warnings = [];
+  const declared = declaredType ? declaredType.split(';')[0].trim().toLowerCase() : null;
+  const contentType = sniffImageType(buffer);
+
+  if (!contentType) {
+    errors.push(`Logo data is not a supported image format. Supported types: ${SUPPORTED_MIMETYPES.join(', ')}`);
+  } else if (declared && !COMPATIBLE_MIMETYPES[contentType].includes(declared)) {
+    errors.push(`Logo content type is ${declared} but the data is ${contentType}`);
+  }
+
+  if (buffer.length > MAX_LOGO_SIZE_BYTES) {
+    errors.push(`Logo is ${buffer.length} bytes - the maximum is ${MAX_LOGO_SIZE_BYTES} bytes (${MAX_LOGO_SIZE_BYTES / 1024}KB)`);
+  }
+
+  const logo = {
+    content_type: contentType,
+    declared_content_type: declared,
+    size_bytes: buffer.length,
+    width: null,
+    height: null,
+    aspect_ratio: null,
+    display_size: null
+  };
+
+  const dimensions = contentType ? readImageDimensions(buffer, contentType) : null;
+  if (dimensions && dimensions.width > 0 && dimensions.height > 0) {
+    const scale = Math.min(LOGO_DISPLAY_BOX.width / dimensions.width, LOGO_DISPLAY_BOX.height / dimensions.height);
+    logo.width = dimensions.width;
+    logo.height = dimensions.height;
+    logo.aspect_ratio = Math.round((dimensions.width / dimensions.height) * 100) / 100;
+    logo.display_size = {
+      width: Math.round(dimensions.width * scale),
+      height: Math.round(dimensions.height * scale)
+    };
+    if (dimensions.height > dimensions.width) {
+      warnings.push(`Logo is taller than it is wide and will display at ${logo.display_size.width}×${logo.display_size.height} in the ${LOGO_DISPLAY_BOX.width}×${LOGO_DISPLAY_BOX.height} logo area`);
+    }
+  } else if (contentType) {
+    warnings.push('Could not read the logo dimensions');
+  }
+
+  return { valid: errors.length === 0, errors, warnings, logo };
+}
+
 /**
  * Validate required fields in an object
  * @param {Object} obj - Object to validate
@@ -135,20 +532,180 @@ export function formatMCPError(message, code = -32603, data = null) {
 }
 
 /**
- * Create MCP content response
- * @param {*} data - Data to include in response
- * @returns {Object} - Formatted MCP content response
+ * Create MCP tool result
+ * @param {Object} data - Result, returned as structuredContent
+ * @param {Object} options - Result options
+ * @param {string} options.summary - Short human-readable text for the content block (defaults to the result as compact JSON)
+ * @param {Object[]} options.extraContent - Content blocks added after the text, e.g. images
+ * @returns {Object} - Tool result with content and structuredContent
  */
-export function createMCPContent(data) {
-  const jsonString = JSON.stringify(data, null, 2);
+export function createMCPContent(data, { summary, extraContent = [] } = {}) {
   return {
-    contents: [{
-      type: 'text',
-      text: jsonString
-    }],
     content: [{
-      type: 'text', 
-      text: jsonString
-    }]
+      type: 'text',
+      text: summary ?? JSON.stringify(data)
+    }, ...extraContent],
+    structuredContent: data
+  };
+}
+
+/**
+ * Format a value for a .env file, quoting it when needed
+ * @param {*} value - Value to write
+ * @returns {string} - Value safe to place after KEY=
+ */
+export function formatEnvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/^[A-Za-z0-9_./:@,+-]*$/.test(text)) {
+    return text;
+  }
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Build a pattern matching the line that sets a .env key
+ * @param {string} key - Variable name
+ * @returns {RegExp} - Pattern for KEY= or export KEY=
+ */
+function envKeyPattern(key) {
+  return new RegExp(`^\\s*(?:export\\s+)?${key}\\s*=`);
+}
+
+/**
+ * Check whether .env file content sets a key
+ * @param {string} content - File content
+ * @param {string} key - Variable name
+ * @returns {boolean} - True if the key is set
+ */
+export function hasEnvKey(content, key) {
+  const keyPattern = envKeyPattern(key);
+  return content.split('\n').some(line => keyPattern.test(line));
+}
+
+/**
+ * Merge variables into .env file content, keeping everything else in the file
+ * @param {string} existingContent - Current file content ('' for a new file)
+ * @param {Object} variables - Variables to set, keyed by name
+ * @param {boolean} overwrite - Replace keys that already exist
+ * @returns {Object} - New content with the keys written and the keys skipped
+ */
+export function mergeEnvContent(existingContent, variables, overwrite = false) {
+  const lines = existingContent ? existingContent.replace(/\n$/, '').split('\n') : [];
+  const written = [];
+  const skipped = [];
+
+  for (const [key, value] of Object.entries(variables)) {
+    const line = `${key}=${formatEnvValue(value)}`;
+    const keyPattern = envKeyPattern(key);
+    const index = lines.findIndex(existing => keyPattern.test(existing));
+
+    if (index === -1) {
+      lines.push(line);
+      written.push(key);
+    } else if (overwrite) {
+      lines[index] = line;
+      written.push(key);
+    } else {
+      skipped.push(key);
+    }
+  }
+
+  return {
+    content: lines.length > 0 ? `${lines.join('\n')}\n` : '',
+    written,
+    skipped
+  };
+}
+
+/**
+ * Resolve a path inside the workspace, rejecting paths that escape it
+ * @param {string} relativePath - Path relative to the workspace root
+ * @param {string} workspaceRoot - Workspace root (defaults to the current directory)
+ * @returns {Object} - Resolved path, or an error message when the path is outside the workspace
+ */
+export function resolveWorkspacePath(relativePath, workspaceRoot = process.cwd()) {
+  const root = path.resolve(workspaceRoot);
+  const resolved = path.resolve(root, relativePath);
+  const relative = path.relative(root, resolved);
+
+  if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    return { valid: false, error: `Path must be inside the workspace ${root}: ${relativePath}` };
+  }
+
+  return { valid: true, path: resolved };
+}
+
+/**
+ * Find an existing file inside one of the workspace roots
+ * Symlinks are followed, so a link that points outside every root is refused
+ * @param {string} filePath - Path relative to a workspace root, or an absolute path inside one
+ * @param {Array<string>} workspaceRoots - Workspace root directories, in order of preference
+ * @returns {Object} - Resolved real path, or an error message when no root contains the file
+ */
+export function resolveWorkspaceFile(filePath, workspaceRoots) {
+  let outsideAll = true;
+
+  for (const root of workspaceRoots) {
+    const candidate = resolveWorkspacePath(filePath, root);
+    if (!candidate.valid) {
+      continue;
+    }
+    outsideAll = false;
+    if (!fs.existsSync(candidate.path)) {
+      continue;
+    }
+
+    const realPath = fs.realpathSync(candidate.path);
+    if (!resolveWorkspacePath(realPath, fs.realpathSync(root)).valid) {
+      return { valid: false, error: `Path resolves outside the workspace: ${filePath}` };
+    }
+    if (!fs.statSync(realPath).isFile()) {
+      return { valid: false, error: `Not a file: ${filePath}` };
+    }
+    return { valid: true, path: realPath };
+  }
+
+  return {
+    valid: false,
+    error: outsideAll
+      ? `Path must be inside the workspace (${workspaceRoots.join(', ')}): ${filePath}`
+      : `File not found in the workspace: ${filePath}`
   };
-} 
\ No newline at end of file
+}
+
+/**
+ * Resolve a file to write inside one of the workspace roots; the file need not exist yet
+ * Symlinks are followed, so the file or its nearest existing folder must really be inside the root
+ * @param {string} filePath - Path relative to the first workspace root, or an absolute path inside one
+ * @param {Array<string>} workspaceRoots - Workspace root directories, in order of preference
+ * @returns {Object} - Real path to write and the root holding it, or an error message when no root contains it
+ */
+export function resolveWorkspaceTarget(filePath, workspaceRoots) {
+  for (const root of workspaceRoots) {
+    const candidate = resolveWorkspacePath(filePath, root);
+    if (!candidate.valid) {
+      continue;
+    }
+
+    // A dangling symlink would be followed on write, wherever it points
+    if (fs.lstatSync(candidate.path, { throwIfNoEntry: false })?.isSymbolicLink() && !fs.existsSync(candidate.path)) {
+      return { valid: false, error: `Path is a broken symlink: ${filePath}` };
+    }
+
+    let existing = candidate.path;
+    while (!fs.existsSync(existing)) {
+      existing = path.dirname(existing);
+    }
+    const realRoot = fs.realpathSync(root);
+    const realPath = path.join(fs.realpathSync(existing), path.relative(existing, candidate.path));
+    if (!resolveWorkspacePath(realPath, realRoot).valid) {
+      return { valid: false, error: `Path resolves outside the workspace: ${filePath}` };
+    }
+    if (existing === candidate.path && !fs.statSync(realPath).isFile()) {
+      return { valid: false, error: `Not a file: ${filePath}` };
+    }
+    return { valid: true, path: realPath, root: realRoot };
+  }
+
+  return { valid: false, error: `Path must be inside the workspace (${workspaceRoots.join(', ')}): ${filePath}` };
+}
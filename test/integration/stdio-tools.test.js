@@ -0,0 +1,451 @@
+import { expect } from 'chai';
+import crypto from 'crypto';
+import { spawn, execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('MCP stdio Tools', function() {
+  const MOCK_ADMIN_URL = process.env.MOCK_ADMIN_URL || 'http://localhost:3333';
+  const STDIO_SERVER = path.join(__dirname, '../../src/stdio.js');
+
+  let server;
+  let workspace;
+  let assetsRoot;
+  let nextId = 1;
+  const pending = new Map();
+  let serverLog = '';
+
+  // Wait for the server to log the authorization URL of a test login started after logOffset
+  async function waitForAuthorizationUrl(logOffset) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const match = serverLog.slice(logOffset).match(/🔗 (\S+)/);
+      if (match) {
+        return match[1];
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error('No authorization URL logged');
+  }
+
+  // Send a JSON-RPC request over stdin and wait for the matching response
+  function makeJSONRPCRequest(method, params = {}) {
+    const id = nextId++;
+    return new Promise((resolve) => {
+      pending.set(id, resolve);
+      server.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    });
+  }
+
+  async function callTool(toolName, args = {}) {
+    return makeJSONRPCRequest('tools/call', {
+      name: toolName,
+      arguments: args
+    });
+  }
+
+  function parseMCPContent(response) {
+    if (!response.result || !response.result.structuredContent) {
+      throw new Error('Invalid MCP response structure');
+    }
+    return response.result.structuredContent;
+  }
+
+  before(async function() {
+    const tokenResponse = await fetch(`${MOCK_ADMIN_URL}/token/valid`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    const { access_token: accessToken } = await tokenResponse.json();
+
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'hello-mcp-workspace-'));
+    assetsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'hello-mcp-assets-'));
+    // A git repository, so hello_write_env can ask git whether env files are ignored
+    execFileSync('git', ['init', '--quiet'], { cwd: workspace });
+    server = spawn('node', [STDIO_SERVER], {
+      cwd: workspace,
+      // The mock admin server also stands in for the wallet in test logins, and publishes its signing keys
+      env: { ...process.env, HELLO_ACCESS_TOKEN: accessToken, HELLO_ADMIN: MOCK_ADMIN_URL, HELLO_WALLET: MOCK_ADMIN_URL, HELLO_JWKS_URI: `${MOCK_ADMIN_URL}/.well-known/jwks` },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    server.stderr.on('data', (chunk) => {
+      serverLog += chunk.toString();
+    });
+
+    // Tool logging shares stdout with the protocol, so only JSON-RPC responses are picked out
+    let buffer = '';
+    server.stdout.on('data', (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        try {
+          const message = JSON.parse(line);
+          if (message.method === 'roots/list') {
+            // The client exposes the workspace and a separate assets folder as roots
+            const roots = [workspace, assetsRoot].map(root => ({ uri: pathToFileURL(root).href }));
+            server.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { roots } })}\n`);
+          } else if (message.jsonrpc === '2.0' && pending.has(message.id)) {
+            pending.get(message.id)(message);
+            pending.delete(message.id);
+          }
+        } catch (error) {
+          // Not a protocol message
+        }
+      }
+    });
+
+    await makeJSONRPCRequest('initialize', {
+      protocolVersion: '2024-11-05',
+      capabilities: { roots: {} },
+      clientInfo: { name: 'stdio-test-client', version: '1.0.0' }
+    });
+  });
+
+  after(function() {
+    server?.kill();
+    for (const directory of [workspace, assetsRoot]) {
+      if (directory) {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    }
+  });
+
+  it('should list local-only tools', async function() {
+    const response = await makeJSONRPCRequest('tools/list');
+    const toolNames = response.result.tools.map(tool => tool.name);
+    expect(toolNames).to.include.members(['hello_manage_app', 'hello_write_env', 'hello_test_login']);
+
+    const manageApp = response.result.tools.find(tool => tool.name === 'hello_manage_app');
+    expect(manageApp.inputSchema.properties.action.enum).to.include('update_logo_from_file');
+    expect(manageApp.inputSchema.properties).to.have.property('logo_file');
+  });
+
+  describe('update_logo_from_file action', function() {
+    const logoFixture = path.join(__dirname, '..', 'small-logo.png');
+
+    it('should upload a logo file from the workspace', async function() {
+      fs.mkdirSync(path.join(workspace, 'public'));
+      fs.copyFileSync(logoFixture, path.join(workspace, 'public/logo.png'));
+
+      const response = await callTool('hello_manage_app', {
+        action: 'update_logo_from_file',
+        client_id: 'app789',
+        team_id: 'pub456',
+        logo_file: 'public/logo.png',
+        theme: 'dark'
+      });
+      const content = parseMCPContent(response);
+
+      expect(content.action_result).to.include({ action: 'update_logo_from_file', success: true, theme: 'dark' });
+      expect(content.action_result.logo).to.include({ content_type: 'image/png', width: 400, height: 100 });
+      expect(content.application).to.have.property('dark_image_uri', content.upload_result.image_uri);
+
+      const uploaded = await (await fetch(`${MOCK_ADMIN_URL}/test-data/uploaded-logo/app789`)).json();
+      expect(uploaded.uploadedData.data).to.equal(fs.readFileSync(logoFixture).toString('base64'));
+    });
+
+    it('should read files from any of the client roots', async function() {
+      fs.copyFileSync(logoFixture, path.join(assetsRoot, 'brand.png'));
+
+      const response = await callTool('hello_manage_app', {
+        action: 'update_logo_from_file',
+        client_id: 'app789',
+        team_id: 'pub456',
+        logo_file: path.join(assetsRoot, 'brand.png'),
+        dry_run: true
+      });
+      const content = parseMCPContent(response);
+
+      expect(content.action_result).to.include({ dry_run: true, file: fs.realpathSync(path.join(assetsRoot, 'brand.png')) });
+      expect(content.diff.image_uri.pending_upload).to.include({ content_type: 'image/png' });
+    });
+
+    it('should refuse files outside the workspace roots', async function() {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'hello-mcp-outside-'));
+      fs.copyFileSync(logoFixture, path.join(outside, 'logo.png'));
+      fs.symlinkSync(path.join(outside, 'logo.png'), path.join(workspace, 'linked-logo.png'));
+
+      try {
+        for (const logoFile of [path.join(outside, 'logo.png'), '../logo.png', 'linked-logo.png']) {
+          const response = await callTool('hello_manage_app', {
+            action: 'update_logo_from_file',
+            client_id: 'app789',
+            team_id: 'pub456',
+            logo_file: logoFile
+          });
+
+          expect(response.error, logoFile).to.have.property('code', -32602);
+          expect(response.error.message, logoFile).to.match(/(inside|outside) the workspace/);
+        }
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+
+    it('should set a logo file with hello_set_logo', async function() {
+      fs.copyFileSync(logoFixture, path.join(workspace, 'set-logo.png'));
+
+      const listResponse = await makeJSONRPCRequest('tools/list');
+      const setLogo = listResponse.result.tools.find(tool => tool.name === 'hello_set_logo');
+      expect(setLogo.inputSchema.properties).to.have.property('logo_file');
+
+      const response = await callTool('hello_set_logo', {
+        client_id: 'app789',
+        team_id: 'pub456',
+        logo_file: 'set-logo.png',
+        dry_run: true
+      });
+      const content = parseMCPContent(response);
+
+      expect(content.action_result).to.include({ action: 'update_logo_from_file', dry_run: true });
+      expect(content.diff.image_uri.pending_upload).to.include({ content_type: 'image/png' });
+    });
+  });
+
+  describe('hello_sync_manifest Tool', function() {
+    const manifest = { team_id: 'pub456', name: 'Stdio Manifest App' };
+
+    it('should plan logos with the bytes that will be uploaded', async function() {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" onload="alert(1)"><rect width="200" height="100" fill="#1a237e"/></svg>';
+      fs.writeFileSync(path.join(workspace, 'manifest-logo.svg'), svg);
+      fs.writeFileSync(path.join(workspace, 'hello.app.json'), JSON.stringify({ ...manifest, logos: { light: 'manifest-logo.svg' } }));
+
+      const response = await callTool('hello_sync_manifest', { manifest_path: 'hello.app.json' });
+      const content = parseMCPContent(response);
+
+      const [step] = content.plan.logos;
+      expect(step).to.include({ theme: 'light', operation: 'upload', content_type: 'image/svg+xml' });
+      expect(step.size_bytes).to.not.equal(svg.length);
+      expect(step.sha256).to.not.equal(crypto.createHash('sha256').update(svg).digest('hex'));
+    });
+
+    it('should refuse manifest and logo files outside the workspace roots', async function() {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'hello-mcp-outside-'));
+      fs.copyFileSync(path.join(__dirname, '..', 'small-logo.png'), path.join(outside, 'logo.png'));
+      fs.writeFileSync(path.join(outside, 'hello.app.json'), JSON.stringify(manifest));
+      fs.symlinkSync(path.join(outside, 'logo.png'), path.join(workspace, 'linked-manifest-logo.png'));
+
+      try {
+        const manifestResponse = await callTool('hello_sync_manifest', { manifest_path: path.join(outside, 'hello.app.json') });
+        expect(manifestResponse.error).to.have.property('code', -32602);
+        expect(manifestResponse.error.message).to.include('inside the workspace');
+
+        for (const logoPath of [path.join(outside, 'logo.png'), '../logo.png', 'linked-manifest-logo.png']) {
+          const response = await callTool('hello_sync_manifest', { manifest: { ...manifest, logos: { light: logoPath } } });
+
+          expect(response.error, logoPath).to.have.property('code', -32602);
+          expect(response.error.message, logoPath).to.include('Unable to read logo file');
+        }
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('hello_write_env Tool', function() {
+    it('should create an env file with the client ID and a cookie secret', async function() {
+      const response = await callTool('hello_write_env', { client_id: 'app789' });
+      const content = parseMCPContent(response);
+
+      expect(content.env_file).to.include({ created: true });
+      expect(content.env_file.written).to.deep.equal(['HELLO_CLIENT_ID', 'HELLO_COOKIE_SECRET']);
+      expect(content.action_result.warnings.join(' ')).to.include('.gitignore');
+
+      const envFile = fs.readFileSync(path.join(workspace, '.env'), 'utf8');
+      expect(envFile).to.include('HELLO_CLIENT_ID=app789\n');
+      expect(envFile).to.match(/^HELLO_COOKIE_SECRET=[0-9a-f]{64}$/m);
+      expect(fs.statSync(path.join(workspace, '.env')).mode & 0o777).to.equal(0o600);
+    });
+
+    it('should keep existing keys unless overwrite is set', async function() {
+      const envPath = path.join(workspace, '.env.local');
+      fs.writeFileSync(envPath, '# my settings\nHELLO_COOKIE_SECRET=keep-me\nOTHER=1\n');
+      fs.writeFileSync(path.join(workspace, '.gitignore'), 'node_modules\n.env*\n');
+
+      const response = await callTool('hello_write_env', { client_id: 'app789', framework: 'nextjs' });
+      const content = parseMCPContent(response);
+
+      expect(content.env_file.written).to.deep.equal(['HELLO_CLIENT_ID']);
+      expect(content.env_file.skipped).to.deep.equal(['HELLO_COOKIE_SECRET']);
+      expect(fs.readFileSync(envPath, 'utf8')).to.equal('# my settings\nHELLO_COOKIE_SECRET=keep-me\nOTHER=1\nHELLO_CLIENT_ID=app789\n');
+
+      const overwriteResponse = await callTool('hello_write_env', { client_id: 'app101', file: '.env.local', overwrite: true });
+      const overwriteContent = parseMCPContent(overwriteResponse);
+      expect(overwriteContent.env_file.skipped).to.deep.equal([]);
+      expect(overwriteContent.action_result).to.not.have.property('warnings');
+
+      const envFile = fs.readFileSync(envPath, 'utf8');
+      expect(envFile).to.include('HELLO_CLIENT_ID=app101\n');
+      expect(envFile).to.not.include('keep-me');
+      expect(envFile).to.include('OTHER=1\n');
+    });
+
+    it('should write a new client secret only when asked', async function() {
+      const response = await callTool('hello_write_env', { client_id: 'app789', file: 'config/.env.secret', include_client_secret: true });
+      const content = parseMCPContent(response);
+
+      expect(content.env_file.written).to.include('HELLO_CLIENT_SECRET');
+      expect(content.action_result.secret).to.have.property('id');
+      expect(JSON.stringify(content)).to.not.match(/HELLO_CLIENT_SECRET=/);
+      expect(fs.readFileSync(path.join(workspace, 'config/.env.secret'), 'utf8')).to.match(/^HELLO_CLIENT_SECRET=[0-9a-f]{64}$/m);
+
+      // The secret is already in the file, so no new secret is created
+      const repeatResponse = await callTool('hello_write_env', { client_id: 'app789', file: 'config/.env.secret', include_client_secret: true });
+      const repeatContent = parseMCPContent(repeatResponse);
+      expect(repeatContent.env_file.skipped).to.include('HELLO_CLIENT_SECRET');
+      expect(repeatContent.action_result).to.not.have.property('secret');
+    });
+
+    it('should refuse paths outside the workspace', async function() {
+      const response = await callTool('hello_write_env', { client_id: 'app789', file: '../outside.env' });
+
+      expect(response.error).to.have.property('code', -32602);
+      expect(response.error.message).to.include('inside the workspace');
+      expect(fs.existsSync(path.join(workspace, '../outside.env'))).to.equal(false);
+    });
+
+    it('should refuse symlinks that lead outside the workspace', async function() {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'hello-mcp-outside-'));
+      fs.writeFileSync(path.join(outside, 'target.env'), 'OTHER=1\n');
+      fs.symlinkSync(path.join(outside, 'target.env'), path.join(workspace, 'linked.env'));
+      fs.symlinkSync(path.join(outside, 'missing.env'), path.join(workspace, 'dangling.env'));
+      fs.symlinkSync(outside, path.join(workspace, 'linked-dir'));
+
+      try {
+        for (const file of ['linked.env', 'dangling.env', 'linked-dir/.env']) {
+          const response = await callTool('hello_write_env', { client_id: 'app789', file });
+
+          expect(response.error, file).to.have.property('code', -32602);
+          expect(response.error.message, file).to.match(/outside the workspace|broken symlink/);
+        }
+        expect(fs.readdirSync(outside)).to.deep.equal(['target.env']);
+        expect(fs.readFileSync(path.join(outside, 'target.env'), 'utf8')).to.equal('OTHER=1\n');
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+
+    it('should write into any of the client roots', async function() {
+      const response = await callTool('hello_write_env', { client_id: 'app789', file: path.join(assetsRoot, '.env') });
+      const content = parseMCPContent(response);
+
+      expect(content.env_file).to.include({ path: path.join(fs.realpathSync(assetsRoot), '.env'), created: true });
+      // The assets root is not a git repository, so nothing is claimed about ignoring the file
+      expect(content.action_result).to.not.have.property('warnings');
+      expect(fs.readFileSync(path.join(assetsRoot, '.env'), 'utf8')).to.include('HELLO_CLIENT_ID=app789\n');
+    });
+
+    it('should follow nested .gitignore files and negations', async function() {
+      fs.mkdirSync(path.join(workspace, 'service'), { recursive: true });
+      fs.writeFileSync(path.join(workspace, 'service', '.gitignore'), '!.env.service\n');
+
+      const response = await callTool('hello_write_env', { client_id: 'app789', file: 'service/.env.service' });
+      const content = parseMCPContent(response);
+
+      expect(content.action_result.warnings.join(' ')).to.include('not ignored by git');
+    });
+  });
+
+  describe('hello_test_login Tool', function() {
+    it('should log in through the wallet and return checked ID token claims', async function() {
+      const logOffset = serverLog.length;
+      const pendingResponse = callTool('hello_test_login', {
+        client_id: 'app123',
+        team_id: 'pub123',
+        scope: ['name', 'email'],
+        open_browser: false
+      });
+
+      // Stand in for the browser: the wallet redirects straight back to the local callback
+      const authorizationUrl = new URL(await waitForAuthorizationUrl(logOffset));
+      expect(authorizationUrl.searchParams.get('client_id')).to.equal('app123');
+      expect(authorizationUrl.searchParams.get('scope')).to.equal('openid name email');
+      expect(authorizationUrl.searchParams.get('code_challenge_method')).to.equal('S256');
+      const callbackPage = await fetch(authorizationUrl);
+      expect(callbackPage.status).to.equal(200);
+      expect(await callbackPage.text()).to.include('Test Login Complete');
+
+      const content = parseMCPContent(await pendingResponse);
+      expect(content.action_result).to.include({ action: 'test_login', success: true });
+      expect(content.login.redirect_uri).to.match(/^http:\/\/localhost:\d+\/callback$/);
+      expect(content.id_token.header).to.include({ alg: 'RS256' });
+      expect(content.id_token.claims).to.include({ aud: 'app123', sub: 'user123', name: 'Test User', email: 'test@example.com' });
+      expect(Object.values(content.checks).every(check => check.passed)).to.equal(true);
+      expect(content.checks).to.have.keys('iss', 'aud', 'exp', 'nonce');
+    });
+
+    it('should report an authorization error from the wallet', async function() {
+      const logOffset = serverLog.length;
+      const pendingResponse = callTool('hello_test_login', {
+        client_id: 'app123',
+        team_id: 'pub123',
+        open_browser: false
+      });
+
+      const authorizationUrl = new URL(await waitForAuthorizationUrl(logOffset));
+      authorizationUrl.searchParams.set('mock_error', 'access_denied');
+      await fetch(authorizationUrl);
+
+      const content = parseMCPContent(await pendingResponse);
+      expect(content.action_result).to.include({ action: 'test_login', success: false, step: 'authorization' });
+      expect(content.action_result.error).to.include({ error: 'access_denied' });
+      expect(content).to.not.have.property('id_token');
+    });
+
+    it('should refuse an app that does not allow localhost redirects', async function() {
+      const response = await callTool('hello_test_login', {
+        client_id: 'app303',
+        team_id: 'pub789',
+        open_browser: false
+      });
+
+      expect(response.error).to.have.property('code', -32602);
+      expect(response.error.message).to.include('does not allow http://localhost redirect URIs');
+    });
+
+    it('should refuse redirect URIs that do not reach this machine', async function() {
+      const response = await callTool('hello_test_login', {
+        client_id: 'app123',
+        team_id: 'pub123',
+        redirect_uri: 'https://myapp.com/callback'
+      });
+
+      expect(response.error).to.have.property('code', -32602);
+      expect(response.error.message).to.include('redirect_uri must be an http://localhost or http://127.0.0.1 URI');
+    });
+  });
+
+  describe('hello_inspect_token Tool', function() {
+    it('should verify with the issuer keys and reuse them from the cache', async function() {
+      const codeVerifier = 'stdio-inspect-token-code-verifier-0123456789';
+      const authorizeResponse = await fetch(`${MOCK_ADMIN_URL}/authorize?${new URLSearchParams({
+        client_id: 'app123',
+        redirect_uri: 'http://localhost:3000/callback',
+        scope: 'openid email',
+        response_type: 'code',
+        code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+        code_challenge_method: 'S256'
+      })}`, { redirect: 'manual' });
+      const code = new URL(authorizeResponse.headers.get('location')).searchParams.get('code');
+      const tokenResponse = await fetch(`${MOCK_ADMIN_URL}/oauth/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ grant_type: 'authorization_code', code, code_verifier: codeVerifier, client_id: 'app123', redirect_uri: 'http://localhost:3000/callback' }).toString()
+      });
+      const { id_token: idToken } = await tokenResponse.json();
+
+      const first = parseMCPContent(await callTool('hello_inspect_token', { token: idToken, client_id: 'app123' }));
+      expect(first.signature).to.include({ verified: true, jwks_source: 'issuer' });
+
+      const second = parseMCPContent(await callTool('hello_inspect_token', { token: idToken, client_id: 'app123' }));
+      expect(second.signature).to.include({ verified: true, jwks_source: 'issuer_cached' });
+      expect(second.action_result.success).to.equal(true);
+    });
+  });
+});
@@ -24,6 +24,13 @@ const mockData = {
       name: 'Test User',
       email: 'test@example.com',
       publishers: ['pub123', 'pub456', 'pub789']
+    },
+    // A user who has not created a team yet
+    'user-no-team': {
+      sub: 'user-no-team',
+      name: 'New User',
+      email: 'new@example.com',
+      publishers: []
     }
   },
   publishers: {
@@ -183,6 +190,12 @@ const mockData = {
 // Storage for uploaded logo data (for testing validation)
 const uploadedLogos = {};
 
+// Storage for client secrets by application (kept off the application object)
+const appSecrets = {};
+
+// Application updates a test has asked to fail
+const failNextPut = {};
+
 // Create Fastify instance
 const app = fastify({
   logger: {
@@ -353,7 +366,10 @@ app.addHook('preHandler', async (request, reply) => {
       request.url === '/token' || 
       request.url.startsWith('/token/') ||
       request.url.startsWith('/test-assets/') ||
-      request.url.startsWith('/test-data/')) {
+      request.url.startsWith('/test-data/') ||
+      request.url.startsWith('/authorize') ||
+      request.url.startsWith('/oauth/') ||
+      request.url.startsWith('/.well-known/')) {
     return;
   }
   
@@ -481,6 +497,7 @@ app.get('/api/v1/applications/:applicationId', async (request, reply) => {
   return {
     ...application,
     type: "application",
+    publisher: application.publisher_id,
     createdAt: "2024-07-03T16:51:35.286Z",
     createdBy: "mcp"
   };
@@ -500,8 +517,18 @@ app.post('/api/v1/publishers', async (request, reply) => {
   
   mockData.publishers[publisherId] = newPublisher;
   mockData.users[request.userId].publishers.push(publisherId);
-  
-  return newPublisher;
+
+  // Match the GET /api/v1/publishers/:publisherId response structure
+  return {
+    profile: {
+      type: "publisher",
+      id: newPublisher.id,
+      name: newPublisher.name,
+      createdAt: new Date().toISOString()
+    },
+    applications: [],
+    role: "admin"
+  };
 });
 
 app.put('/api/v1/publishers/:publisherId', async (request, reply) => {
@@ -629,6 +656,16 @@ app.put('/api/v1/publishers/:publisherId/applications/:applicationId', async (re
     return reply.code(404).send({ error: 'Application not found' });
   }
   
+  // Simulated failure set up by a test, optionally after the update was applied
+  const failure = failNextPut[applicationId];
+  if (failure) {
+    delete failNextPut[applicationId];
+    if (failure.apply) {
+      Object.assign(application, request.body);
+    }
+    return reply.code(500).send({ error: 'Simulated update failure' });
+  }
+
   // Update application with new data
   Object.assign(application, request.body);
   application.id = applicationId; // Ensure ID doesn't change
@@ -637,6 +674,31 @@ app.put('/api/v1/publishers/:publisherId/applications/:applicationId', async (re
   return application;
 });
 
+app.delete('/api/v1/publishers/:publisherId/applications/:applicationId', async (request, reply) => {
+  const { publisherId, applicationId } = request.params;
+  const publisher = mockData.publishers[publisherId];
+  const application = mockData.applications[applicationId];
+
+  if (!publisher || publisher.owner !== request.userId) {
+    return reply.code(404).send({ error: 'Publisher not found' });
+  }
+
+  if (!application || application.publisher_id !== publisherId) {
+    return reply.code(404).send({ error: 'Application not found' });
+  }
+
+  // Remove application from store and from its publisher
+  delete mockData.applications[applicationId];
+  publisher.applications = publisher.applications.filter(appId => appId !== applicationId);
+  delete uploadedLogos[applicationId];
+  delete appSecrets[applicationId];
+
+  return {
+    id: applicationId,
+    deleted: true
+  };
+});
+
 // Secrets endpoint
 app.post('/api/v1/publishers/:publisherId/applications/:applicationId/secrets', async (request, reply) => {
   const { publisherId, applicationId } = request.params;
@@ -652,13 +714,62 @@ app.post('/api/v1/publishers/:publisherId/applications/:applicationId/secrets',
   }
   
   const { hash, salt } = request.body;
-  
-  return {
-    message: 'Secret created successfully',
+  const storedSecret = {
+    id: crypto.randomUUID(),
     hash,
     salt,
     created_at: new Date().toISOString()
   };
+  appSecrets[applicationId] = [...(appSecrets[applicationId] || []), storedSecret];
+
+  return {
+    message: 'Secret created successfully',
+    ...storedSecret
+  };
+});
+
+app.get('/api/v1/publishers/:publisherId/applications/:applicationId/secrets', async (request, reply) => {
+  const { publisherId, applicationId } = request.params;
+  const publisher = mockData.publishers[publisherId];
+  const application = mockData.applications[applicationId];
+
+  if (!publisher || publisher.owner !== request.userId) {
+    return reply.code(404).send({ error: 'Publisher not found' });
+  }
+
+  if (!application || application.publisher_id !== publisherId) {
+    return reply.code(404).send({ error: 'Application not found' });
+  }
+
+  return {
+    secrets: appSecrets[applicationId] || []
+  };
+});
+
+app.delete('/api/v1/publishers/:publisherId/applications/:applicationId/secrets/:secretId', async (request, reply) => {
+  const { publisherId, applicationId, secretId } = request.params;
+  const publisher = mockData.publishers[publisherId];
+  const application = mockData.applications[applicationId];
+
+  if (!publisher || publisher.owner !== request.userId) {
+    return reply.code(404).send({ error: 'Publisher not found' });
+  }
+
+  if (!application || application.publisher_id !== publisherId) {
+    return reply.code(404).send({ error: 'Application not found' });
+  }
+
+  const secrets = appSecrets[applicationId] || [];
+  if (!secrets.some(secret => secret.id === secretId)) {
+    return reply.code(404).send({ error: 'Secret not found' });
+  }
+
+  appSecrets[applicationId] = secrets.filter(secret => secret.id !== secretId);
+
+  return {
+    id: secretId,
+    revoked: true
+  };
 });
 
 // Logo upload endpoint
@@ -720,20 +831,145 @@ app.post('/api/v1/publishers/:publisherId/applications/:applicationId/logo', asy
   }
 });
 
-// Static file endpoint for testing logo URL fetching
-app.get('/test-assets/playground-logo.png', async (request, reply) => {
+// Static file endpoints for testing logo URL fetching
+for (const logoFile of ['playground-logo.png', 'small-logo.png']) {
+  app.get(`/test-assets/${logoFile}`, async (request, reply) => {
+    try {
+      // In Docker, we're in /usr/src/mcp, so test files are in ./test/
+      const logoPath = path.join(process.cwd(), 'test', logoFile);
+      const logoBuffer = fs.readFileSync(logoPath);
+      
+      reply.type('image/png');
+      return logoBuffer;
+    } catch (error) {
+      console.error(`Error serving ${logoFile}:`, error);
+      console.error('Tried path:', path.join(process.cwd(), 'test', logoFile));
+      return reply.code(404).send({ error: 'Logo file not found' });
+    }
+  });
+}
+
+// Redirect and non-image endpoints for testing logo URL fetch protection
+app.get('/test-assets/redirect', async (request, reply) => {
+  return reply.redirect(request.query.to, 302);
+});
+
+app.get('/test-assets/page.html', async (request, reply) => {
+  reply.type('text/html');
+  return '<html><body>Not a logo</body></html>';
+});
+
+app.get('/test-assets/small-logo.bin', async (request, reply) => {
+  reply.type('application/octet-stream');
+  return fs.readFileSync(path.join(process.cwd(), 'test', 'small-logo.png'));
+});
+
+// Stand-in wallet for local login flows (set HELLO_WALLET to this server)
+// Signs ID tokens with a per-run RSA key published at /.well-known/jwks
+const MOCK_ISSUER = process.env.MOCK_ISSUER || 'https://issuer.hello.coop';
+const walletKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const WALLET_KEY_ID = `mock-${crypto.randomBytes(4).toString('hex')}`;
+const authorizationCodes = {};
+
+// Claims released for each scope by the stand-in wallet
+const MOCK_SCOPE_CLAIMS = {
+  name: { name: 'Test User' },
+  email: { email: 'test@example.com', email_verified: true },
+  picture: { picture: 'https://pictures.hello.coop/mock/test-user.png' },
+  nickname: { nickname: 'tester' },
+  given_name: { given_name: 'Test' },
+  family_name: { family_name: 'User' },
+  github: { github: { id: '1234', username: 'testuser' } }
+};
+
+/**
+ * Check a redirect URI the way the wallet does - registered URIs, or loopback URIs when allowed in development
+ * @param {Object} application - Application from the mock store
+ * @param {string} redirectUri - Redirect URI from the request
+ * @returns {boolean} - True if the redirect URI is accepted
+ */
+function isAllowedRedirectUri(application, redirectUri) {
+  const web = application.web || {};
+  if ([...(web.dev?.redirect_uris || []), ...(web.prod?.redirect_uris || [])].includes(redirectUri)) {
+    return true;
+  }
   try {
-    // In Docker, we're in /usr/src/mcp, so test files are in ./test/
-    const logoPath = path.join(process.cwd(), 'test', 'playground-logo.png');
-    const logoBuffer = fs.readFileSync(logoPath);
-    
-    reply.type('image/png');
-    return logoBuffer;
+    const { protocol, hostname } = new URL(redirectUri);
+    return protocol === 'http:' && ((hostname === 'localhost' && web.dev?.localhost) || (hostname === '127.0.0.1' && web.dev?.['127.0.0.1']));
   } catch (error) {
-    console.error('Error serving playground logo:', error);
-    console.error('Tried path:', path.join(process.cwd(), 'test', 'playground-logo.png'));
-    return reply.code(404).send({ error: 'Logo file not found' });
+    return false;
+  }
+}
+
+app.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (request, body, done) => {
+  done(null, Object.fromEntries(new URLSearchParams(body)));
+});
+
+// Authorization endpoint - approves immediately as the test user; mock_error simulates a denied request
+app.get('/authorize', async (request, reply) => {
+  const { client_id, redirect_uri, scope = '', response_type, code_challenge, code_challenge_method, state, nonce, mock_error } = request.query;
+  const application = mockData.applications[client_id];
+
+  // Like the wallet, requests that cannot be trusted to redirect get an error page instead
+  if (!application) {
+    return reply.code(400).type('text/html').send(`<h1>Unknown client_id</h1><p>${client_id}</p>`);
+  }
+  if (!redirect_uri || !isAllowedRedirectUri(application, redirect_uri)) {
+    return reply.code(400).type('text/html').send(`<h1>Invalid redirect_uri</h1><p>${redirect_uri}</p>`);
+  }
+
+  const callback = new URL(redirect_uri);
+  if (state) {
+    callback.searchParams.set('state', state);
+  }
+  if (mock_error || response_type !== 'code' || !code_challenge || code_challenge_method !== 'S256') {
+    callback.searchParams.set('error', mock_error || 'invalid_request');
+    return reply.redirect(callback.href, 302);
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  authorizationCodes[code] = { client_id, redirect_uri, scope: scope.split(' ').filter(Boolean), code_challenge, nonce };
+  callback.searchParams.set('code', code);
+  return reply.redirect(callback.href, 302);
+});
+
+// Token endpoint - exchanges an authorization code for an ID token after checking PKCE
+app.post('/oauth/token', async (request, reply) => {
+  const { grant_type, code, code_verifier, client_id, redirect_uri } = request.body || {};
+  const grant = authorizationCodes[code];
+  delete authorizationCodes[code];
+
+  if (grant_type !== 'authorization_code' || !grant) {
+    return reply.code(400).send({ error: 'invalid_grant' });
   }
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (grant.client_id !== client_id || grant.redirect_uri !== redirect_uri || grant.code_challenge !== challenge) {
+    return reply.code(400).send({ error: 'invalid_grant' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = Object.assign({}, ...grant.scope.map(scope => MOCK_SCOPE_CLAIMS[scope] || {}));
+  const idToken = jwt.sign({
+    iss: MOCK_ISSUER,
+    aud: client_id,
+    sub: 'user123',
+    nonce: grant.nonce,
+    iat: now,
+    exp: now + 300,
+    ...claims
+  }, walletKeys.privateKey, { algorithm: 'RS256', keyid: WALLET_KEY_ID });
+
+  return { id_token: idToken, token_type: 'Bearer' };
+});
+
+app.get('/.well-known/jwks', async () => {
+  return { keys: [{ ...walletKeys.publicKey.export({ format: 'jwk' }), kid: WALLET_KEY_ID, alg: 'RS256', use: 'sig' }] };
+});
+
+// Test endpoint to make the next application update fail (no auth required)
+app.post('/test-data/fail-next-put/:applicationId', { preHandler: [] }, async (request, reply) => {
+  failNextPut[request.params.applicationId] = { apply: request.body?.apply === true };
+  return { ok: true };
 });
 
 // Test endpoint to retrieve uploaded logo data for validation (no auth required)
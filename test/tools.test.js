@@ -49,7 +49,7 @@ class MCPToolTester {
       });
 
       const tools = result.tools;
-      const expectedToolCount = 1; // Single consolidated tool: hello_manage_app
+      const expectedToolCount = 12; // the six focused app tools, hello_manage_app, hello_manage_team, hello_sync_manifest, hello_generate_legal_docs, hello_generate_login_button and hello_inspect_token
       
       if (!Array.isArray(tools)) {
         throw new Error('tools is not an array');
@@ -61,7 +61,18 @@ class MCPToolTester {
 
       // Check for required tools in consolidated toolset  
       const requiredTools = [
-        'hello_manage_app'
+        'hello_get_profile',
+        'hello_read_app',
+        'hello_create_app',
+        'hello_update_app',
+        'hello_create_secret',
+        'hello_set_logo',
+        'hello_manage_app',
+        'hello_manage_team',
+        'hello_sync_manifest',
+        'hello_generate_legal_docs',
+        'hello_generate_login_button',
+        'hello_inspect_token'
       ];
 
       const toolNames = tools.map(t => t.name);
@@ -76,6 +87,9 @@ class MCPToolTester {
         if (!tool.name || !tool.description || !tool.inputSchema) {
           throw new Error(`Tool ${tool.name} missing required properties`);
         }
+        if (typeof tool.annotations?.readOnlyHint !== 'boolean') {
+          throw new Error(`Tool ${tool.name} missing readOnlyHint annotation`);
+        }
       }
 
       this.recordSuccess('tools/list', `Found all ${expectedToolCount} required tools`);